@@ -8,12 +8,114 @@
 // blocking calls.
 
 const DB_NAME = 'flashcards-db';
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 const STORE_NAME = 'cards';
+const REVIEW_STORE_NAME = 'reviews';
+const AUDIO_STORE_NAME = 'audio';
+const RECORDING_STORE_NAME = 'recordings';
+const RECORDINGS_PER_CARD = 5; // older shadowing attempts are pruned
+const DICTIONARY_STORE_NAME = 'dictionary';
+const JOB_STORE_NAME = 'jobs';
 
 /**
- * Open (or create) the app database. On first run it provisions an object
- * store using `id` as the primary key.
+ * Schema migrations keyed by the version they upgrade *to*. `onupgradeneeded`
+ * runs every step between the stored version and `DB_VERSION` in order,
+ * inside the single version-change transaction, so an interrupted upgrade
+ * rolls back to the previous schema instead of leaving it half-done.
+ *
+ * Never edit a released step – add a new one and bump `DB_VERSION`.
+ */
+const MIGRATIONS = {
+    // v1: the card store, using `id` as the primary key.
+    1(db) {
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+    },
+    // v2: append-only log of every rating given in the Test view.
+    2(db) {
+        if (!db.objectStoreNames.contains(REVIEW_STORE_NAME)) {
+            const reviews = db.createObjectStore(REVIEW_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            reviews.createIndex('cardId', 'cardId', { unique: false });
+            reviews.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+    },
+    // v3: backfill the pin / manual-order fields older cards lack.
+    3(db, tx) {
+        let idx = 0;
+        tx.objectStore(STORE_NAME).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const card = cursor.value;
+            if (typeof card.pinned !== 'boolean') card.pinned = false;
+            if (typeof card.order !== 'number') card.order = idx;
+            idx += 1;
+            cursor.update(card);
+            cursor.continue();
+        };
+    },
+    // v4: move base64 `audioData` out of the cards into binary Blobs keyed by
+    // card id, so loading the deck no longer pulls every clip into memory.
+    4(db, tx) {
+        if (!db.objectStoreNames.contains(AUDIO_STORE_NAME)) {
+            db.createObjectStore(AUDIO_STORE_NAME, { keyPath: 'cardId' });
+        }
+        const audioStore = tx.objectStore(AUDIO_STORE_NAME);
+        tx.objectStore(STORE_NAME).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const card = cursor.value;
+            if (typeof card.audioData === 'string' && card.audioData.startsWith('data:')) {
+                audioStore.put({ cardId: card.id, blob: dataURLToBlob(card.audioData) });
+                card.hasAudio = true;
+            } else {
+                card.hasAudio = false;
+            }
+            delete card.audioData;
+            cursor.update(card);
+            cursor.continue();
+        };
+    },
+    // v5: every card belongs to a deck and carries a (possibly empty) tag list.
+    5(db, tx) {
+        tx.objectStore(STORE_NAME).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const card = cursor.value;
+            if (typeof card.deck !== 'string' || !card.deck) card.deck = DEFAULT_DECK;
+            if (!Array.isArray(card.tags)) card.tags = [];
+            cursor.update(card);
+            cursor.continue();
+        };
+    },
+    // v6: the learner's own shadowing recordings, a few per card.
+    6(db) {
+        if (!db.objectStoreNames.contains(RECORDING_STORE_NAME)) {
+            const recordings = db.createObjectStore(RECORDING_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            recordings.createIndex('cardId', 'cardId', { unique: false });
+        }
+    },
+    // v7: words looked up from a card, kept so repeat lookups work offline.
+    7(db) {
+        if (!db.objectStoreNames.contains(DICTIONARY_STORE_NAME)) {
+            db.createObjectStore(DICTIONARY_STORE_NAME, { keyPath: 'word' });
+        }
+    },
+    // v8: the batch generator's queue, so it survives a reload.
+    8(db) {
+        if (!db.objectStoreNames.contains(JOB_STORE_NAME)) {
+            db.createObjectStore(JOB_STORE_NAME, { keyPath: 'id' });
+        }
+    }
+};
+
+// One connection is shared by every read and write for the whole session.
+let dbPromise = null;
+
+/**
+ * Open (or create) the app database, upgrading it through `MIGRATIONS` when
+ * needed. The connection is cached; it is dropped again if another tab asks
+ * for a newer schema so that tab is not blocked.
  *
  * @returns {Promise<IDBDatabase>}
  */
@@ -21,22 +123,62 @@ function openDB() {
     if (!('indexedDB' in window)) {
         return Promise.reject(new Error('IndexedDB is not supported in this environment'));
     }
+    if (dbPromise) return dbPromise;
 
-    return new Promise((resolve, reject) => {
+    dbPromise = new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-        request.onupgradeneeded = () => {
+        request.onupgradeneeded = (e) => {
             const db = request.result;
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            for (let version = e.oldVersion + 1; version <= DB_VERSION; version++) {
+                MIGRATIONS[version](db, request.transaction);
             }
         };
 
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            db.onclose = () => { dbPromise = null; };
+            resolve(db);
+        };
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+        request.onblocked = () => console.warn('Database upgrade is waiting for another tab to close');
+    });
+    return dbPromise;
+}
+
+// Resolve once a write transaction has committed.
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function requestResult(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
     });
 }
 
+// Any failed card write is logged and surfaced to the user once per session.
+function reportWriteError(err) {
+    console.error('Failed to write to IndexedDB', err);
+
+    if (!reportWriteError._warned) {
+        alert('⚠️  Failed to save cards to your browser storage. Changes will only last until you refresh this tab.');
+        reportWriteError._warned = true;
+    }
+}
+
 /**
  * Load all stored cards from IndexedDB.
  *
@@ -45,21 +187,8 @@ function openDB() {
 async function loadCards() {
     try {
         const db = await openDB();
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE_NAME, 'readonly');
-            const store = tx.objectStore(STORE_NAME);
-            const req = store.getAll();
-            req.onsuccess = () => {
-                const result = req.result || [];
-                // Ensure newer fields exist
-                result.forEach((card, idx) => {
-                    if (typeof card.pinned !== 'boolean') card.pinned = false;
-                    if (typeof card.order !== 'number') card.order = idx;
-                });
-                resolve(result);
-            };
-            req.onerror = () => reject(req.error);
-        });
+        const tx = db.transaction(STORE_NAME, 'readonly');
+        return (await requestResult(tx.objectStore(STORE_NAME).getAll())) || [];
     } catch (err) {
         console.error('Error loading cards from IndexedDB', err);
         return [];
@@ -67,47 +196,415 @@ async function loadCards() {
 }
 
 /**
- * Persist the provided set of cards to IndexedDB. The strategy is simple but
- * robust: clear the store and then put all current cards. For the modest data
- * sizes of a flash-card deck this is fast and keeps the logic trivial.
+ * Write the given cards (and only those) in one transaction. Use this after
+ * any change – a rating only rewrites the rated card.
+ *
+ * @param {Flashcard[]} changed
+ */
+async function putCards(changed) {
+    if (changed.length === 0) return;
+    try {
+        const db = await openDB();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        changed.forEach(card => store.put(card));
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+function putCard(card) {
+    return putCards([card]);
+}
+
+/**
+ * Store (or replace) the audio clip for a card.
+ *
+ * @param {string} cardId
+ * @param {Blob} blob
+ */
+async function putAudio(cardId, blob) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(AUDIO_STORE_NAME, 'readwrite');
+        tx.objectStore(AUDIO_STORE_NAME).put({ cardId, blob });
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * Fetch a card's audio clip, or null if it has none.
+ *
+ * @param {string} cardId
+ * @returns {Promise<Blob|null>}
+ */
+async function getAudio(cardId) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(AUDIO_STORE_NAME, 'readonly');
+        const record = await requestResult(tx.objectStore(AUDIO_STORE_NAME).get(cardId));
+        return record ? record.blob : null;
+    } catch (err) {
+        console.error('Error loading audio from IndexedDB', err);
+        return null;
+    }
+}
+
+/**
+ * Remove a card's audio clip, keeping the card.
+ *
+ * @param {string} cardId
+ */
+async function deleteAudio(cardId) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(AUDIO_STORE_NAME, 'readwrite');
+        tx.objectStore(AUDIO_STORE_NAME).delete(cardId);
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * Remove one card (and its audio) from the store.
  *
- * Any failure is logged and surfaced to the user once per session.
+ * @param {string} id
+ */
+async function deleteCardRecord(id) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction([STORE_NAME, AUDIO_STORE_NAME, RECORDING_STORE_NAME], 'readwrite');
+        tx.objectStore(STORE_NAME).delete(id);
+        tx.objectStore(AUDIO_STORE_NAME).delete(id);
+        const recordings = tx.objectStore(RECORDING_STORE_NAME);
+        recordings.index('cardId').getAllKeys(id).onsuccess = (e) => {
+            e.target.result.forEach(key => recordings.delete(key));
+        };
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * Replace the whole stored deck with `cards`: clear the store and put every
+ * card. Only needed when the entire deck is swapped out (import); everything
+ * else should use `putCards()` / `deleteCardRecord()`. Audio and recordings
+ * belonging to cards that are no longer in the deck are dropped in the same
+ * transaction.
  *
  * @param {Flashcard[]} cards
  */
 async function saveCards(cards) {
     try {
         const db = await openDB();
-        await new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE_NAME, 'readwrite');
-            const store = tx.objectStore(STORE_NAME);
+        const tx = db.transaction([STORE_NAME, AUDIO_STORE_NAME, RECORDING_STORE_NAME], 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        const audioStore = tx.objectStore(AUDIO_STORE_NAME);
+        const recordingStore = tx.objectStore(RECORDING_STORE_NAME);
 
-            // Clear previous state so removed cards disappear.
-            store.clear();
+        // Clear previous state so removed cards disappear.
+        store.clear();
 
-            for (const card of cards) {
-                store.put(card);
-            }
+        for (const card of cards) {
+            store.put(card);
+        }
 
-            tx.oncomplete = () => resolve();
-            tx.onerror = () => reject(tx.error);
-            tx.onabort = () => reject(tx.error);
-        });
+        const keep = new Set(cards.map(c => c.id));
+        audioStore.getAllKeys().onsuccess = (e) => {
+            e.target.result.forEach(key => {
+                if (!keep.has(key)) audioStore.delete(key);
+            });
+        };
+        recordingStore.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (!keep.has(cursor.value.cardId)) cursor.delete();
+            cursor.continue();
+        };
+
+        await transactionDone(tx);
     } catch (err) {
-        console.error('Failed to write to IndexedDB', err);
+        reportWriteError(err);
+    }
+}
 
-        if (!saveCards._warned) {
-            alert('⚠️  Failed to save cards to your browser storage. Changes will only last until you refresh this tab.');
-            saveCards._warned = true;
-        }
+/**
+ * Append one entry to the review log. Failures are logged but never block
+ * studying – the card itself has already been rescheduled.
+ *
+ * @param {ReviewLogEntry} entry
+ * @returns {Promise<number|null>} key of the new entry, null on failure
+ */
+async function logReview(entry) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(REVIEW_STORE_NAME, 'readwrite');
+        const req = tx.objectStore(REVIEW_STORE_NAME).add(entry);
+        await transactionDone(tx);
+        return req.result;
+    } catch (err) {
+        console.error('Failed to write review log entry', err);
+        return null;
+    }
+}
+
+/**
+ * Remove one review log entry (used when a rating is undone).
+ *
+ * @param {number} id
+ */
+async function deleteReview(id) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(REVIEW_STORE_NAME, 'readwrite');
+        tx.objectStore(REVIEW_STORE_NAME).delete(id);
+        await transactionDone(tx);
+    } catch (err) {
+        console.error('Failed to delete review log entry', err);
+    }
+}
+
+/**
+ * Load the review log, oldest first.
+ *
+ * @returns {Promise<ReviewLogEntry[]>}
+ */
+async function loadReviews() {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(REVIEW_STORE_NAME, 'readonly');
+        return (await requestResult(tx.objectStore(REVIEW_STORE_NAME).index('timestamp').getAll())) || [];
+    } catch (err) {
+        console.error('Error loading review log from IndexedDB', err);
+        return [];
+    }
+}
+
+/**
+ * @typedef Recording
+ * @property {number} [id] - auto-incremented key
+ * @property {string} cardId
+ * @property {number} timestamp - when the attempt was recorded (ms)
+ * @property {Blob} blob - the learner's voice as captured by MediaRecorder
+ * @property {string} text - what was shadowed (one sentence or the whole card)
+ * @property {number|null} start - seconds into the card clip, null for the whole clip
+ * @property {number|null} end
+ * @property {string} [transcript] - what speech-to-text heard, once checked
+ * @property {number} [accuracy] - 0–1 share of expected words said correctly
+ */
+
+/**
+ * Store a shadowing attempt, keeping only the newest `RECORDINGS_PER_CARD`
+ * for that card.
+ *
+ * @param {Recording} recording
+ */
+async function addRecording(recording) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(RECORDING_STORE_NAME, 'readwrite');
+        const store = tx.objectStore(RECORDING_STORE_NAME);
+        store.add(recording);
+        // Keys grow with time, so the first ones are the oldest.
+        store.index('cardId').getAllKeys(recording.cardId).onsuccess = (e) => {
+            const keys = e.target.result;
+            keys.slice(0, Math.max(0, keys.length - RECORDINGS_PER_CARD)).forEach(key => store.delete(key));
+        };
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * A card's shadowing attempts, newest first.
+ *
+ * @param {string} cardId
+ * @returns {Promise<Recording[]>}
+ */
+async function getRecordings(cardId) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(RECORDING_STORE_NAME, 'readonly');
+        const list = (await requestResult(tx.objectStore(RECORDING_STORE_NAME).index('cardId').getAll(cardId))) || [];
+        return list.sort((a, b) => b.timestamp - a.timestamp);
+    } catch (err) {
+        console.error('Error loading recordings from IndexedDB', err);
+        return [];
+    }
+}
+
+/**
+ * Save changes to an existing recording (e.g. its pronunciation check).
+ *
+ * @param {Recording} recording
+ */
+async function putRecording(recording) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(RECORDING_STORE_NAME, 'readwrite');
+        tx.objectStore(RECORDING_STORE_NAME).put(recording);
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * A cached dictionary lookup, or null if the word was never looked up.
+ *
+ * @param {string} word - lower case
+ * @returns {Promise<DictionaryEntry|null>}
+ */
+async function getDictionaryEntry(word) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(DICTIONARY_STORE_NAME, 'readonly');
+        return (await requestResult(tx.objectStore(DICTIONARY_STORE_NAME).get(word))) || null;
+    } catch (err) {
+        console.error('Error loading dictionary entry from IndexedDB', err);
+        return null;
+    }
+}
+
+/**
+ * Cache a dictionary lookup (and, once fetched, its pronunciation clip).
+ *
+ * @param {DictionaryEntry} entry
+ */
+async function putDictionaryEntry(entry) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(DICTIONARY_STORE_NAME, 'readwrite');
+        tx.objectStore(DICTIONARY_STORE_NAME).put(entry);
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+/**
+ * Every item in the batch generator's queue, oldest first.
+ *
+ * @returns {Promise<GenerationJob[]>}
+ */
+async function loadJobs() {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(JOB_STORE_NAME, 'readonly');
+        const jobs = (await requestResult(tx.objectStore(JOB_STORE_NAME).getAll())) || [];
+        return jobs.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (err) {
+        console.error('Error loading generation queue from IndexedDB', err);
+        return [];
+    }
+}
+
+/**
+ * Store (or update) one queue item.
+ *
+ * @param {GenerationJob} job
+ */
+async function putJob(job) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(JOB_STORE_NAME, 'readwrite');
+        tx.objectStore(JOB_STORE_NAME).put(job);
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+async function deleteJob(id) {
+    try {
+        const db = await openDB();
+        const tx = db.transaction(JOB_STORE_NAME, 'readwrite');
+        tx.objectStore(JOB_STORE_NAME).delete(id);
+        await transactionDone(tx);
+    } catch (err) {
+        reportWriteError(err);
+    }
+}
+
+// --- Settings (LocalStorage) ------------------------------------------------
+
+// Small user preferences live in LocalStorage next to the API key; they are
+// read synchronously at start-up before any card is shown.
+
+const SETTINGS_KEY = 'app_settings';
+const DEFAULT_SETTINGS = {
+    scheduler: 'sm2',
+    desiredRetention: 0.9,
+    newPerDay: 20,
+    reviewsPerDay: 200,
+    deckFilter: '', // '' = all decks
+    tagFilter: '',  // '' = all tags
+    ratingMode: 'four', // 'four' (Again/Hard/Good/Easy) or 'two' (Easy/Hard)
+    // OpenAI-compatible provider; point aiBaseUrl at a self-hosted or mock
+    // server and leave aiAuthHeader blank if it needs no key.
+    aiBaseUrl: 'https://api.openai.com/v1',
+    aiAuthHeader: 'Authorization',
+    aiAuthPrefix: 'Bearer ',
+    aiModelParagraph: 'gpt-3.5-turbo',
+    aiModelTranslation: 'gpt-3.5-turbo-16k',
+    aiModelTts: 'tts-1-hd',
+    ttsVoice: 'shimmer',
+    defaultPlaybackRate: 1, // 1 or 1.2, the state the speed toggle starts in
+    loopPauseSeconds: 5,    // pause before the Test view replays a clip
+    paragraphLength: 'medium',
+    offlineVoice: '',       // speechSynthesis voiceURI, '' = browser default
+    // Speech-to-text for the pronunciation check; '' = use aiBaseUrl
+    sttBaseUrl: '',
+    aiModelTranscription: 'whisper-1',
+    pronunciationRating: false, // offer a rating from the pronunciation score
+    testMode: 'read',       // 'read' (text shown) or 'dictation' (audio only, type it)
+    reverseDecks: [],       // decks whose cards are also tested Chinese → English
+    // Usage ledger: US$ per million tokens / characters, used for estimates
+    // only, and a monthly cap on the estimate (0 = none).
+    aiPriceInput: 0.5,
+    aiPriceOutput: 1.5,
+    aiPriceTts: 30,
+    aiMonthlyBudget: 0
+};
+
+function loadSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    } catch (err) {
+        console.error('Ignoring unreadable settings', err);
+        return { ...DEFAULT_SETTINGS };
     }
 }
 
+function saveSettings() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+const settings = loadSettings();
+
+/**
+ * Re-number `order` so pinned cards come first and orders are contiguous.
+ *
+ * @returns {Flashcard[]} the cards whose order changed and need writing
+ */
 function normalizeOrders() {
     const pinned = cards.filter(c => c.pinned).sort((a, b) => a.order - b.order);
     const unpinned = cards.filter(c => !c.pinned).sort((a, b) => a.order - b.order);
     cards = [...pinned, ...unpinned];
-    cards.forEach((c, idx) => c.order = idx);
+    const changed = [];
+    cards.forEach((c, idx) => {
+        if (c.order !== idx) {
+            c.order = idx;
+            changed.push(c);
+        }
+    });
+    return changed;
 }
 
 /**
@@ -115,13 +612,42 @@ function normalizeOrders() {
  * @property {string} id - unique id
  * @property {string} question
  * @property {string} answer
- * @property {string|null} audioData - DataURL for audio or null
+ * @property {boolean} hasAudio - whether a clip exists in the `audio` store
+ * @property {string} deck - name of the deck the card belongs to
+ * @property {string[]} tags - free-form labels, lower-cased
  * @property {number} interval - days between reviews
  * @property {number} repetitions - how many times reviewed successfully
  * @property {number} easeFactor - difficulty factor (EF)
+ * @property {string} [scheduler] - id of the scheduler owning the state ('sm2' | 'fsrs')
+ * @property {number} [stability] - FSRS: days until recall probability drops to 90%
+ * @property {number} [difficulty] - FSRS: 1 (easy) – 10 (hard)
+ * @property {number} [lastReview] - timestamp (ms) of the last rating
  * @property {number} nextReview - timestamp (ms) when due
  * @property {boolean} pinned - whether the card is pinned to the top of lists
  * @property {number} order - manual sort order within pinned/unpinned groups
+ * @property {SentenceTiming[]} [sentences] - where each sentence sits in the clip, filled in on first playback
+ * @property {'cloze'|'word'|'reverse'} [type] - set on cloze, word and reverse cards; plain cards have no type
+ * @property {boolean} [reverse] - also test this card Chinese → English (see `syncReverseCards`)
+ * @property {string} [parentId] - cloze / word / reverse: the card it came from
+ * @property {string} [cloze] - cloze: the blanked-out word or phrase
+ * @property {number} [clozeOccurrence] - cloze: which occurrence of the phrase (0 = first)
+ * @property {VocabEntry} [vocab] - word: the details the answer was built from
+ */
+
+/**
+ * @typedef ReviewLogEntry
+ * @property {number} [id] - auto-incremented key
+ * @property {string} cardId
+ * @property {number} timestamp - when the rating was given (ms)
+ * @property {string} rating - grade given: 'again' | 'hard' | 'good' | 'easy'
+ * @property {string} scheduler - id of the scheduler that applied the grade
+ * @property {number} prevInterval - interval (days) before the rating
+ * @property {number} newInterval - interval (days) after the rating
+ * @property {number} prevEase - ease factor before the rating
+ * @property {number} newEase - ease factor after the rating
+ * @property {number} [stability] - FSRS stability after the rating
+ * @property {number} [difficulty] - FSRS difficulty after the rating
+ * @property {number} timeSpent - ms between showing the card and rating it
  */
 
 // DOM references
@@ -132,16 +658,52 @@ const reviewSection = document.getElementById("review-section");
 const navAdd = document.getElementById('nav-add');
 const navStudy = document.getElementById('nav-study');
 const navReview = document.getElementById("nav-review");
+const navStats = document.getElementById('nav-stats');
+const navSettings = document.getElementById('nav-settings');
+const settingsSection = document.getElementById('settings-section');
+const schedulerSelect = document.getElementById('scheduler-select');
+const statsSection = document.getElementById('stats-section');
 const navExport = document.getElementById('nav-export');
 const navImport = document.getElementById('nav-import');
 const importFileInput = document.getElementById('import-file');
+const csvDialog = document.getElementById('csv-dialog');
+const csvFileNameEl = document.getElementById('csv-file-name');
+const csvHasHeader = document.getElementById('csv-has-header');
+const csvMappingEl = document.getElementById('csv-mapping');
+const csvPreviewEl = document.getElementById('csv-preview');
+const csvDeckInput = document.getElementById('csv-deck');
+const csvContinueBtn = document.getElementById('csv-continue-btn');
+const csvCancelBtn = document.getElementById('csv-cancel-btn');
+const exportDialog = document.getElementById('export-dialog');
+const exportDeckSelect = document.getElementById('export-deck');
+const exportConfirmBtn = document.getElementById('export-confirm-btn');
+const exportCancelBtn = document.getElementById('export-cancel-btn');
+const importDialog = document.getElementById('import-dialog');
+const importFileNameEl = document.getElementById('import-file-name');
+const importSummaryEl = document.getElementById('import-summary');
+const importErrorsEl = document.getElementById('import-errors');
+const importConflictPolicy = document.getElementById('import-conflict-policy');
+const importConfirmBtn = document.getElementById('import-confirm-btn');
+const importCancelBtn = document.getElementById('import-cancel-btn');
 
 const questionInput = document.getElementById('question');
 const answerInput = document.getElementById('answer');
+const deckInput = document.getElementById('deck');
+const deckOptions = document.getElementById('deck-options');
+const tagsInput = document.getElementById('tags');
+const reverseInput = document.getElementById('reverse-input');
 const audioInput = document.getElementById('audio'); // may be null if upload option removed
 const generateAudioBtn = document.getElementById('generate-audio-btn');
 const generateStatus = document.getElementById('generate-status');
 
+const aiProviderResetBtn = document.getElementById('ai-provider-reset-btn');
+const apiKeyInput = document.getElementById('api-key-input');
+const apiKeyStatusEl = document.getElementById('api-key-status');
+const apiKeySaveBtn = document.getElementById('api-key-save-btn');
+const apiKeyTestBtn = document.getElementById('api-key-test-btn');
+const apiKeyRemoveBtn = document.getElementById('api-key-remove-btn');
+const apiKeyTestStatus = document.getElementById('api-key-test-status');
+
 // New elements for advanced AI flow
 const promptInput = document.getElementById('prompt');
 const genSentenceBtn = document.getElementById('generate-sentence-btn');
@@ -152,22 +714,12 @@ const genVoiceStatus = document.getElementById('gen-voice-status');
 // Button & status for paragraph voice generation
 const genParagraphVoiceBtn = document.getElementById('generate-paragraph-voice-btn');
 const genParagraphVoiceStatus = document.getElementById('gen-paragraph-voice-status');
+const speakOfflineBtn = document.getElementById('speak-offline-btn');
 // Button & status for paragraph translation
 const genParagraphTranslationBtn = document.getElementById('generate-paragraph-translation-btn');
 const genParagraphTranslationStatus = document.getElementById('gen-paragraph-translation-status');
 
-let generatedAudioData = null; // dataURL produced by AI TTS if any
-
-// Utility: fetch with a timeout to avoid indefinite waiting
-async function fetchWithTimeout(url, options = {}, timeout = 20000) {
-    const ctrl = new AbortController();
-    const id = setTimeout(() => ctrl.abort(), timeout);
-    try {
-        return await fetch(url, { ...options, signal: ctrl.signal });
-    } finally {
-        clearTimeout(id);
-    }
-}
+let generatedAudioBlob = null; // mp3 Blob produced by AI TTS if any
 
 // ---- AI Text-to-Speech generation ----
 if (generateAudioBtn) {
@@ -178,21 +730,15 @@ if (generateAudioBtn) {
             return;
         }
 
-        // Ask for API key (stored in LocalStorage for convenience)
-        let apiKey = localStorage.getItem('openai_api_key');
-        if (!apiKey) {
-            apiKey = prompt('Enter your OpenAI API key (it will be stored locally):');
-            if (!apiKey) return;
-            localStorage.setItem('openai_api_key', apiKey);
-        }
+        const apiKey = getApiKey();
+        if (apiKey === null) return;
 
         try {
             generateStatus.classList.remove('hidden');
             generateStatus.textContent = 'Generating…';
             generateAudioBtn.disabled = true;
 
-            const dataUrl = await generateTTS(text, apiKey);
-            generatedAudioData = dataUrl;
+            generatedAudioBlob = await generateTTS(text, apiKey);
 
             // Clear any file selection to avoid confusion
             if (audioInput) audioInput.value = '';
@@ -200,8 +746,8 @@ if (generateAudioBtn) {
             generateStatus.textContent = 'Voice ready! (will be attached)';
         } catch (err) {
             console.error(err);
-            alert('Failed to generate audio.');
-            generateStatus.textContent = 'Error';
+            if (!isAiCancel(err)) alert('Failed to generate audio: ' + err.message);
+            generateStatus.textContent = isAiCancel(err) ? 'Cancelled' : 'Error';
         } finally {
             generateAudioBtn.disabled = false;
             setTimeout(() => generateStatus.classList.add('hidden'), 4000);
@@ -218,22 +764,38 @@ if (genParagraphVoiceBtn) {
             return;
         }
 
+        // Without a key or a connection the card can still be listened to:
+        // it falls back to the browser's offline voice when studied.
+        if (speechSupported && (!hasApiKey() || !navigator.onLine)) {
+            genParagraphVoiceStatus.classList.remove('hidden');
+            genParagraphVoiceStatus.textContent = (navigator.onLine ? 'No API key' : 'Offline') +
+                ' – the card will use the offline voice.';
+            speakOffline(paragraph);
+            setTimeout(() => genParagraphVoiceStatus.classList.add('hidden'), 4000);
+            return;
+        }
+
         let apiKey = getApiKey();
-        if (!apiKey) return;
+        if (apiKey === null) return;
 
         try {
             genParagraphVoiceStatus.classList.remove('hidden');
             genParagraphVoiceStatus.textContent = 'Generating voice…';
             genParagraphVoiceBtn.disabled = true;
 
-            const dataUrl = await generateTTS(paragraph, apiKey);
-            generatedAudioData = dataUrl;
+            generatedAudioBlob = await generateTTS(paragraph, apiKey);
             if (audioInput) audioInput.value = '';
             genParagraphVoiceStatus.textContent = 'Voice ready! (will be attached)';
         } catch (err) {
             console.error(err);
-            alert('Failed to generate voice. Please check your API key/quota.');
-            genParagraphVoiceStatus.textContent = 'Error';
+            if (isAiCancel(err)) {
+                genParagraphVoiceStatus.textContent = 'Cancelled';
+            } else if (speechSupported) {
+                genParagraphVoiceStatus.textContent = 'Voice generation failed – the card will use the offline voice.';
+            } else {
+                alert('Failed to generate voice: ' + err.message);
+                genParagraphVoiceStatus.textContent = 'Error';
+            }
         } finally {
             genParagraphVoiceBtn.disabled = false;
             setTimeout(() => genParagraphVoiceStatus.classList.add('hidden'), 4000);
@@ -251,7 +813,7 @@ if (genParagraphTranslationBtn) {
         }
 
         let apiKey = getApiKey();
-        if (!apiKey) return;
+        if (apiKey === null) return;
 
         try {
             genParagraphTranslationStatus.classList.remove('hidden');
@@ -264,8 +826,8 @@ if (genParagraphTranslationBtn) {
             genParagraphTranslationStatus.textContent = 'Translation ready!';
         } catch (err) {
             console.error(err);
-            alert('Failed to generate translation.');
-            genParagraphTranslationStatus.textContent = 'Error';
+            if (!isAiCancel(err)) alert('Failed to generate translation: ' + err.message);
+            genParagraphTranslationStatus.textContent = isAiCancel(err) ? 'Cancelled' : 'Error';
         } finally {
             genParagraphTranslationBtn.disabled = false;
             setTimeout(() => genParagraphTranslationStatus.classList.add('hidden'), 4000);
@@ -283,7 +845,7 @@ if (genSentenceBtn) {
         }
 
         let apiKey = getApiKey();
-        if (!apiKey) return;
+        if (apiKey === null) return;
 
         try {
             genSentenceStatus.classList.remove('hidden');
@@ -298,18 +860,18 @@ if (genSentenceBtn) {
             answerInput.value = chinese;
 
             // Next, attempt to produce TTS voice (non-critical)
-            let audioUrl = null;
+            let audioBlob = null;
             try {
-                audioUrl = await generateTTS(sentence, apiKey);
-                generatedAudioData = audioUrl;
+                audioBlob = await generateTTS(sentence, apiKey);
+                generatedAudioBlob = audioBlob;
             } catch (ttsErr) {
                 console.warn('TTS generation failed', ttsErr);
             }
 
-            genSentenceStatus.textContent = audioUrl ? 'Sentence & audio ready. Click Save.' : 'Sentence ready. Click Save.';
+            genSentenceStatus.textContent = audioBlob ? 'Sentence & audio ready. Click Save.' : 'Sentence ready. Click Save.';
         } catch (err) {
             console.error(err);
-            genSentenceStatus.textContent = 'Error generating. Check API key / quota.';
+            genSentenceStatus.textContent = 'Error: ' + err.message;
         } finally {
             genSentenceBtn.disabled = false;
             setTimeout(() => genSentenceStatus.classList.add('hidden'), 4000);
@@ -327,7 +889,7 @@ if (genVoiceBtn) {
         }
 
         let apiKey = getApiKey();
-        if (!apiKey) return;
+        if (apiKey === null) return;
 
         try {
             genVoiceStatus.classList.remove('hidden');
@@ -335,20 +897,20 @@ if (genVoiceBtn) {
             genVoiceBtn.disabled = true;
 
             // Parallel generation
-            const [audioUrl, chinese] = await Promise.all([
+            const [audioBlob, chinese] = await Promise.all([
                 generateTTS(sentence, apiKey),
                 translateToTraditionalChinese(sentence, apiKey)
             ]);
 
-            generatedAudioData = audioUrl;
+            generatedAudioBlob = audioBlob;
             if (audioInput) audioInput.value = '';
             answerInput.value = chinese;
 
             genVoiceStatus.textContent = 'Voice & translation ready!';
         } catch (err) {
             console.error(err);
-            alert('Failed to generate voice/translation.');
-            genVoiceStatus.textContent = 'Error';
+            if (!isAiCancel(err)) alert('Failed to generate voice/translation: ' + err.message);
+            genVoiceStatus.textContent = isAiCancel(err) ? 'Cancelled' : 'Error';
         } finally {
             genVoiceBtn.disabled = false;
             setTimeout(() => genVoiceStatus.classList.add('hidden'), 4000);
@@ -356,688 +918,4869 @@ if (genVoiceBtn) {
     });
 }
 
-function getApiKey() {
-    let key = localStorage.getItem('openai_api_key');
-    if (!key) {
-        key = prompt('Enter your OpenAI API key (it will be stored locally):');
-        if (key) localStorage.setItem('openai_api_key', key);
-    }
-    return key;
-}
+// ---- Batch generation ----
+// Queue many topics at once: each becomes a paragraph, its translation and a
+// voice clip, generated one step at a time in the background so the Add form
+// stays free. Finished items wait for review and only become cards when
+// saved. The queue lives in IndexedDB; after a reload unfinished items wait
+// for Resume rather than spending API credit unasked.
 
-async function generateSentence(prompt, apiKey) {
-    const payload = {
-        model: 'gpt-3.5-turbo',
-        messages: [
-            { role: 'system', content: 'You are an assistant who creates longer English paragraphs (6-10 sentences) suitable for ESL learners.' },
-            { role: 'user', content: `Create one longer English paragraph (6-10 sentences) based on: "${prompt}". Do NOT include translations. Do NOT wrap in quotes.` }
-        ],
-        max_tokens: 300,
-        temperature: 0.7
-    };
+/**
+ * @typedef GenerationJob
+ * @property {string} id
+ * @property {number} createdAt
+ * @property {string} topic - what the paragraph is about
+ * @property {number} part - 1-based index when one topic is asked for several times
+ * @property {number} parts
+ * @property {string} deck
+ * @property {string[]} tags
+ * @property {'queued'|'ready'|'failed'} status
+ * @property {string} question - English paragraph, '' until written
+ * @property {string} answer - Traditional Chinese, '' until translated
+ * @property {Blob|null} audio
+ * @property {boolean} voiceFailed - TTS failed; the card will use the offline voice
+ * @property {string} [error] - why the item failed
+ */
 
-    const resp = await fetchWithTimeout('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(payload)
-    });
+const BATCH_MAX_COUNT = 50;
 
-    if (!resp.ok) {
-        const errText = await resp.text();
-        throw new Error('OpenAI completion failed: ' + errText);
-    }
+const batchTopicsInput = document.getElementById('batch-topics');
+const batchCountInput = document.getElementById('batch-count');
+const batchDeckInput = document.getElementById('batch-deck');
+const batchTagsInput = document.getElementById('batch-tags');
+const batchStartBtn = document.getElementById('batch-start-btn');
+const batchCancelBtn = document.getElementById('batch-cancel-btn');
+const batchResumeBtn = document.getElementById('batch-resume-btn');
+const batchSaveAllBtn = document.getElementById('batch-save-all-btn');
+const batchStatusEl = document.getElementById('batch-status');
+const batchListEl = document.getElementById('batch-list');
 
-    const data = await resp.json();
-    const sentence = data.choices[0].message.content.trim();
-    return sentence;
+let batchJobs = [];
+let batchRunning = false;
+let batchCancelled = false;
+let batchActiveStep = null; // { id, label } of the step being generated
+
+/**
+ * Queue items for the topics typed in: one per line, or a single topic
+ * `count` times.
+ *
+ * @returns {GenerationJob[]}
+ */
+function makeBatchJobs(text, count, deck, tags) {
+    const topics = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const parts = topics.length === 1 ? Math.min(Math.max(count, 1), BATCH_MAX_COUNT) : 1;
+    const now = Date.now();
+    const jobs = [];
+    topics.forEach(topic => {
+        for (let part = 1; part <= parts; part++) {
+            jobs.push({
+                id: generateId(),
+                createdAt: now + jobs.length,
+                topic,
+                part,
+                parts,
+                deck: deck || DEFAULT_DECK,
+                tags,
+                status: 'queued',
+                question: '',
+                answer: '',
+                audio: null,
+                voiceFailed: false
+            });
+        }
+    });
+    return jobs;
 }
 
-async function translateToTraditionalChinese(text, apiKey) {
-    // Break very long input into approximate 3500-char chunks so each request
-    // comfortably fits within token limits and avoids truncation. The
-    // resulting Chinese segments are then re-joined with blank lines,
-    // preserving paragraph structure.
+// Paragraphs for the same topic are each asked to cover something different.
+function batchPrompt(job) {
+    if (job.parts === 1) return job.topic;
+    return `${job.topic} (paragraph ${job.part} of ${job.parts} on this topic – pick a different situation from the others)`;
+}
 
-    const CHUNK_SIZE = 3500;
-    const chunks = [];
-    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
-        chunks.push(text.slice(i, i + CHUNK_SIZE));
-    }
+// Write the item unless it was discarded while it was being generated.
+async function storeJob(job) {
+    if (batchJobs.includes(job)) await putJob(job);
+}
 
-    const translations = [];
-    for (const chunk of chunks) {
-        translations.push(await translateChunk(chunk, apiKey));
+/**
+ * Generate whatever the item still lacks. Each finished step is stored, so a
+ * cancel or reload picks up where it stopped. A failed voice is not fatal:
+ * the card is read by the offline voice instead.
+ */
+async function runBatchJob(job, apiKey) {
+    const step = async (label, work) => {
+        batchActiveStep = { id: job.id, label };
+        renderBatchJob(job);
+        await work();
+        await storeJob(job);
+    };
+    try {
+        if (!job.question) {
+            await step('Writing paragraph…', async () => {
+                job.question = await generateSentence(batchPrompt(job), apiKey);
+            });
+        }
+        if (batchCancelled) return;
+        if (!job.answer) {
+            await step('Translating…', async () => {
+                job.answer = await translateToTraditionalChinese(job.question, apiKey);
+            });
+        }
+        if (batchCancelled) return;
+        if (!job.audio && !job.voiceFailed) {
+            await step('Generating voice…', async () => {
+                try {
+                    job.audio = await generateTTS(job.question, apiKey);
+                } catch (err) {
+                    if (isAiCancel(err) || err.budget) throw err;
+                    console.warn('Batch voice generation failed', err);
+                    job.voiceFailed = true;
+                }
+            });
+        }
+        job.status = 'ready';
+    } catch (err) {
+        if (isAiCancel(err) || err.budget) {
+            // Not the item's fault: it stays queued for Resume.
+            batchCancelled = true;
+            if (err.budget) alert(err.message);
+            return;
+        }
+        console.error('Batch item failed', err);
+        job.status = 'failed';
+        job.error = err.message;
+    } finally {
+        batchActiveStep = null;
+        await storeJob(job);
+        renderBatchJob(job);
     }
+}
 
-    return translations.join('\n\n');
+// Work through the queued items one at a time until done or cancelled.
+async function runBatchQueue() {
+    if (batchRunning || !batchJobs.some(j => j.status === 'queued')) return;
+    const apiKey = getApiKey();
+    if (apiKey === null) return;
+    batchRunning = true;
+    batchCancelled = false;
+    updateBatchControls();
+    try {
+        let job;
+        while (!batchCancelled && (job = batchJobs.find(j => j.status === 'queued'))) {
+            await runBatchJob(job, apiKey);
+        }
+    } finally {
+        batchRunning = false;
+        updateBatchControls();
+    }
 }
 
-async function translateChunk(englishText, apiKey) {
-    // Provide a generous max_tokens based on input length (chars * 1.5 ≈ tokens).
-    const maxTokens = Math.min(4096, Math.ceil(englishText.length * 1.5));
+/**
+ * Turn reviewed items into cards and take them off the queue. Unlike the
+ * Add form this leaves the form's fields alone.
+ *
+ * @param {GenerationJob[]} jobs
+ */
+async function saveBatchJobs(jobs) {
+    // Take the items off the queue before the first await, so a second click
+    // (or Save followed by Save Ready) cannot save them twice.
+    jobs = jobs.filter(job => batchJobs.includes(job));
+    if (jobs.length === 0) return;
+    batchJobs = batchJobs.filter(j => !jobs.includes(j));
+    renderBatchList();
+
+    let order = nextCardOrder();
+    const created = jobs.map(job => newCardRecord({
+        question: job.question.trim(),
+        answer: job.answer.trim(),
+        hasAudio: !!job.audio,
+        deck: job.deck,
+        tags: job.tags
+    }, order++));
+    cards.push(...created);
+    const reordered = normalizeOrders();
+    for (let i = 0; i < jobs.length; i++) {
+        if (jobs[i].audio) await putAudio(created[i].id, jobs[i].audio);
+    }
+    await putCards([...new Set([...created, ...reordered])]);
+    syncReverseCards();
+    for (const job of jobs) await deleteJob(job.id);
+    invalidateStudyQueue();
+    refreshCardViews();
+    showSavedStatus(`${created.length} card(s) saved!`);
+}
 
-    const payload = {
-        model: 'gpt-3.5-turbo-16k',
-        messages: [
-            { role: 'system', content: 'You are a strict translator. Return ONLY the full Traditional Chinese translation of the user provided text. Preserve paragraph breaks. Do NOT omit or summarise.' },
-            { role: 'user', content: `請完整翻譯下列內容為繁體中文（僅中文、請保留段落換行）：\n\n${englishText}` }
-        ],
-        temperature: 0.2,
-        max_tokens: maxTokens
-    };
+function discardBatchJob(job) {
+    batchJobs = batchJobs.filter(j => j !== job);
+    deleteJob(job.id);
+    renderBatchList();
+}
 
-    const resp = await fetchWithTimeout('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(payload)
-    }, 60000);
+function batchJobStatus(job) {
+    if (batchActiveStep && batchActiveStep.id === job.id) return batchActiveStep.label;
+    if (job.status === 'ready') {
+        return job.voiceFailed ? 'Ready – no voice, the offline voice will read it' : 'Ready to review';
+    }
+    if (job.status === 'failed') return `Failed: ${job.error}`;
+    return 'Waiting';
+}
 
-    if (!resp.ok) {
-        const errText = await resp.text();
-        throw new Error('OpenAI completion failed: ' + errText);
+function buildBatchItem(job) {
+    const li = document.createElement('li');
+    li.className = `batch-item batch-${job.status}`;
+    li.dataset.id = job.id;
+
+    const head = document.createElement('div');
+    head.className = 'batch-item-head';
+    const topic = document.createElement('strong');
+    topic.textContent = job.parts > 1 ? `${job.topic} (${job.part}/${job.parts})` : job.topic;
+    const status = document.createElement('small');
+    status.className = 'note';
+    status.textContent = batchJobStatus(job);
+    head.append(topic, ' ', status);
+    li.appendChild(head);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'batch-item-buttons';
+
+    if (job.status === 'ready') {
+        // Editing the English makes the translation and the clip stale, so
+        // both are redone.
+        const question = document.createElement('textarea');
+        question.value = job.question;
+        question.addEventListener('change', () => {
+            job.question = question.value.trim();
+            if (!job.question) return;
+            job.answer = '';
+            job.audio = null;
+            job.voiceFailed = false;
+            job.status = 'queued';
+            storeJob(job);
+            renderBatchJob(job);
+            runBatchQueue();
+        });
+        const answer = document.createElement('textarea');
+        answer.value = job.answer;
+        answer.addEventListener('change', () => {
+            job.answer = answer.value;
+            storeJob(job);
+        });
+        li.append(question, answer);
+
+        if (job.audio) {
+            const playBtn = document.createElement('button');
+            playBtn.type = 'button';
+            playBtn.textContent = '▶️';
+            playBtn.title = 'Play voice';
+            playBtn.addEventListener('click', () => playBlob(job.audio));
+            buttons.appendChild(playBtn);
+        }
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            if (!job.question || !job.answer.trim()) {
+                alert('Both the English and the Chinese are needed.');
+                return;
+            }
+            saveBatchJobs([job]);
+        });
+        buttons.appendChild(saveBtn);
+    } else if (job.status === 'failed') {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.textContent = 'Retry';
+        retryBtn.addEventListener('click', () => {
+            job.status = 'queued';
+            delete job.error;
+            storeJob(job);
+            renderBatchJob(job);
+            runBatchQueue();
+        });
+        buttons.appendChild(retryBtn);
     }
 
-    const data = await resp.json();
-    return data.choices[0].message.content.trim();
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', () => discardBatchJob(job));
+    buttons.appendChild(discardBtn);
+    li.appendChild(buttons);
+    return li;
 }
 
-async function generateTTS(text, apiKey) {
-    const payload = {
-        // Higher-fidelity model
-        model: 'tts-1-hd',
-        input: text,
-        // Upbeat female voice
-        voice: 'shimmer',
-        // Slightly higher pitch for extra brightness
-        voice_preset: {
-            pitch: 4  // +4 semitones for a younger, lighter tone
-        },
-        format: 'mp3'
-    };
+// Redraw one item in place so editing another item is not interrupted.
+function renderBatchJob(job) {
+    if (!batchListEl) return;
+    const old = batchListEl.querySelector(`li[data-id="${job.id}"]`);
+    if (old) old.replaceWith(buildBatchItem(job));
+    updateBatchControls();
+}
 
-    const resp = await fetchWithTimeout('https://api.openai.com/v1/audio/speech', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(payload)
-    });
+function renderBatchList() {
+    if (!batchListEl) return;
+    batchListEl.textContent = '';
+    batchJobs.forEach(job => batchListEl.appendChild(buildBatchItem(job)));
+    updateBatchControls();
+}
 
-    if (!resp.ok) {
-        const errText = await resp.text();
-        throw new Error('OpenAI TTS failed: ' + errText);
+function updateBatchControls() {
+    if (!batchListEl) return;
+    const count = (status) => batchJobs.filter(j => j.status === status).length;
+    const queued = count('queued');
+    const ready = count('ready');
+    const failed = count('failed');
+    batchCancelBtn.classList.toggle('hidden', !batchRunning);
+    batchResumeBtn.classList.toggle('hidden', batchRunning || queued === 0);
+    batchSaveAllBtn.classList.toggle('hidden', ready === 0);
+    batchSaveAllBtn.textContent = `Save ${ready} Ready`;
+    if (batchJobs.length === 0) {
+        batchStatusEl.textContent = '';
+    } else if (batchRunning && batchCancelled) {
+        batchStatusEl.textContent = 'Stopping…';
+    } else {
+        const parts = [`${ready} ready`, `${queued} waiting`];
+        if (failed) parts.push(`${failed} failed`);
+        batchStatusEl.textContent = parts.join(', ') + (!batchRunning && queued ? ' – press Resume to continue.' : '');
     }
-
-    const arrayBuffer = await resp.arrayBuffer();
-    const base64 = arrayBufferToBase64(arrayBuffer);
-    return `data:audio/mp3;base64,${base64}`;
 }
 
-function arrayBufferToBase64(buffer) {
-    let binary = '';
-    const bytes = new Uint8Array(buffer);
-    const len = bytes.byteLength;
-    for (let i = 0; i < len; i++) {
-        binary += String.fromCharCode(bytes[i]);
-    }
-    return btoa(binary);
+// Called once at start-up: show what was left in the queue.
+async function restoreBatchQueue() {
+    if (!batchListEl) return;
+    batchJobs = await loadJobs();
+    renderBatchList();
 }
 
-const form = document.getElementById('card-form');
+if (batchListEl) {
+    batchStartBtn.addEventListener('click', async () => {
+        const count = parseInt(batchCountInput.value, 10) || 1;
+        const jobs = makeBatchJobs(batchTopicsInput.value, count, batchDeckInput.value.trim(), parseTags(batchTagsInput.value));
+        if (jobs.length === 0) {
+            alert('Please type at least one topic.');
+            return;
+        }
+        if (getApiKey() === null) return;
+        batchJobs.push(...jobs);
+        for (const job of jobs) await putJob(job);
+        batchTopicsInput.value = '';
+        renderBatchList();
+        runBatchQueue();
+    });
 
-const dueCountEl = document.getElementById('due-count');
-const skipDayBtn = document.getElementById('skip-day-btn');
-const cardBox = document.getElementById('card-box');
-const cardQuestionEl = document.getElementById('card-question');
-const cardAnswerEl = document.getElementById('card-answer');
-const revealArea = document.getElementById('reveal-area');
-const cardAudio = document.getElementById('card-audio');
-const audioToggleBtn = document.getElementById('audio-toggle-btn');
-const rewindBtn = document.getElementById('rewind-5-btn');
-const restartBtn = document.getElementById('restart-btn');
-const speedToggleBtn = document.getElementById('speed-toggle-btn');
-const showAnswerBtn = document.getElementById('show-answer');
-const cardList = document.getElementById('card-list');
-const saveCardBtn = document.getElementById('save-card-btn');
-const cancelEditBtn = document.getElementById('cancel-edit-btn');
-const noDueEl = document.getElementById('no-due');
-const reviewList = document.getElementById("review-list");
-const reviewCardBox = document.getElementById("review-card-box");
-const reviewCardQuestionEl = document.getElementById("review-card-question");
-const reviewCardAnswerEl = document.getElementById("review-card-answer");
-const reviewRevealArea = document.getElementById("review-reveal-area");
-const reviewAudio = document.getElementById("review-card-audio");
-const reviewAudioToggleBtn = document.getElementById("review-audio-toggle-btn");
-const reviewRewindBtn = document.getElementById("review-rewind-5-btn");
-const reviewRestartBtn = document.getElementById("review-restart-btn");
-const reviewSpeedToggleBtn = document.getElementById("review-speed-toggle-btn");
-const reviewShowAnswerBtn = document.getElementById("review-show-answer");
-const saveStatusEl = document.getElementById('save-status');
+    batchCancelBtn.addEventListener('click', () => {
+        batchCancelled = true;
+        cancelAiRequests();
+        updateBatchControls();
+    });
 
-function autoSaveCard(question, answer, audioData) {
-    if (editingCardId) {
-        updateExistingCard(editingCardId, question, answer, audioData);
-    } else {
-        createCard(question, answer, audioData);
-    }
-    showSavedStatus('Card saved!');
+    batchResumeBtn.addEventListener('click', runBatchQueue);
+
+    batchSaveAllBtn.addEventListener('click', () => {
+        const ready = batchJobs.filter(j => j.status === 'ready' && j.question && j.answer.trim());
+        if (ready.length) saveBatchJobs(ready);
+    });
 }
 
-// utility to stop any ongoing audio and looping timer
-function stopAudio() {
-    clearTimeout(audioLoopTimeout);
-    audioLoopTimeout = null;
-    if (cardAudio) {
-        cardAudio.pause();
-        cardAudio.onended = null;
-        cardAudio.currentTime = 0;
-    }
-    if (audioToggleBtn) {
-        audioToggleBtn.textContent = '▶️';
-    }
+const API_KEY_STORAGE = 'openai_api_key';
+
+// Whether AI calls can go ahead without sending the user to Settings.
+function hasApiKey() {
+    return !settings.aiAuthHeader || !!localStorage.getItem(API_KEY_STORAGE);
 }
 
-function stopReviewAudio() {
-    clearTimeout(reviewAudioAdvanceTimeout);
-    reviewAudioAdvanceTimeout = null;
-    if (reviewAudio) {
-        reviewAudio.pause();
-        reviewAudio.onended = null;
-        reviewAudio.currentTime = 0;
-    }
-    if (reviewAudioToggleBtn) {
-        reviewAudioToggleBtn.textContent = "▶️";
-    }
+/**
+ * The API key saved in Settings. Returns '' when the configured provider
+ * needs no key (auth header left blank, e.g. a local mock server). When a key
+ * is needed but missing, the user is sent to Settings and null is returned.
+ *
+ * @returns {string|null}
+ */
+function getApiKey() {
+    if (!settings.aiAuthHeader) return '';
+    const key = localStorage.getItem(API_KEY_STORAGE);
+    if (key) return key;
+    alert('Please add your API key in Settings first.');
+    showSection(settingsSection);
+    if (apiKeyInput) apiKeyInput.focus();
+    return null;
 }
 
-function setupReviewAutoAdvance() {
-    if (!reviewAudio) return;
-    reviewAudio.onended = () => {
-        clearTimeout(reviewAudioAdvanceTimeout);
-        reviewAudioAdvanceTimeout = setTimeout(() => {
-            advanceToNextReviewCard();
-        }, 500);
-    };
+// ---- AI provider ----
+//
+// Every AI call goes through these helpers so the app can talk to any
+// OpenAI-compatible server: the base URL, the auth header and the model used
+// for each task all come from the settings.
+
+const AI_TASK_MODEL_SETTING = {
+    paragraph: 'aiModelParagraph',
+    translation: 'aiModelTranslation',
+    tts: 'aiModelTts',
+    transcription: 'aiModelTranscription'
+};
+
+function aiModelFor(task) {
+    return settings[AI_TASK_MODEL_SETTING[task]] || DEFAULT_SETTINGS[AI_TASK_MODEL_SETTING[task]];
 }
 
-function advanceToNextReviewCard() {
-    const orderedIds = getCardsInReviewOrder().map(card => card.id);
-    reviewPlaybackOrder = orderedIds;
-    if (reviewPlaybackOrder.length === 0) return;
+function aiUrl(path, baseUrl = settings.aiBaseUrl) {
+    return baseUrl.replace(/\/+$/, '') + path;
+}
 
-    if (currentReviewCard) {
-        const currentIndex = reviewPlaybackOrder.indexOf(currentReviewCard.id);
-        if (currentIndex !== -1) {
-            reviewPlaybackIndex = currentIndex;
-        }
+// Pass contentType null for FormData bodies so the browser sets the boundary.
+function aiHeaders(apiKey, contentType = 'application/json') {
+    const headers = contentType ? { 'Content-Type': contentType } : {};
+    if (settings.aiAuthHeader && apiKey) {
+        headers[settings.aiAuthHeader] = `${settings.aiAuthPrefix}${apiKey}`;
     }
+    return headers;
+}
 
-    reviewPlaybackIndex = (reviewPlaybackIndex + 1 + reviewPlaybackOrder.length) % reviewPlaybackOrder.length;
-    const nextId = reviewPlaybackOrder[reviewPlaybackIndex];
-    const nextCard = cards.find(c => c.id === nextId);
-    if (nextCard) {
-        openReviewCard(nextCard.id);
-    }
+// ---- AI requests ----
+//
+// `aiRequest()` is the only place that talks to the provider. It retries
+// rate limits, server errors and failed connections (never a timeout) with
+// exponential backoff or the server's Retry-After, can be cancelled from the
+// activity bar, and refuses billable calls once the monthly budget is spent.
+// Failures carry a readable message; `cancelled` / `budget` flags let
+// callers tell those cases apart.
+
+const AI_MAX_RETRIES = 3;
+const AI_RETRY_BASE_MS = 1000;
+const AI_RETRY_MAX_MS = 60000;
+
+const aiActivityEl = document.getElementById('ai-activity');
+const aiActivityMessageEl = document.getElementById('ai-activity-message');
+const aiCancelBtn = document.getElementById('ai-cancel-btn');
+
+// Aborted by Cancel, which then starts a fresh one for later requests.
+let aiCancelController = new AbortController();
+let aiInFlight = 0;
+
+function aiError(message, flags = {}) {
+    return Object.assign(new Error(message), flags);
 }
-function setupAudioLooping() {
-    if (!cardAudio) return;
-    cardAudio.onended = () => {
-        audioLoopTimeout = setTimeout(() => {
-            cardAudio.currentTime = 0;
-            cardAudio.play().catch(() => {/* autoplay may be blocked */});
-        }, 5000); // 5 second pause before replay
-    };
+
+// True for the error thrown when the user cancelled the request.
+function isAiCancel(err) {
+    return !!(err && err.cancelled);
 }
 
-const ratingButtons = document.querySelectorAll('.rating-buttons button');
+// Abort every AI request in flight, including any waiting to retry.
+function cancelAiRequests() {
+    aiCancelController.abort();
+    aiCancelController = new AbortController();
+}
 
-let audioLoopTimeout = null;
-let reviewAudioAdvanceTimeout = null;
-let fastPlayback = false; // global playback speed state (true = 1.2x)
+function renderAiActivity(note = '') {
+    if (!aiActivityEl) return;
+    aiActivityEl.classList.toggle('hidden', aiInFlight === 0);
+    aiActivityMessageEl.textContent = note || 'Waiting for the AI…';
+}
 
-let reviewPlaybackOrder = [];
-let reviewPlaybackIndex = -1;
+/**
+ * How long to wait before retry number `attempt` (0-based): the server's
+ * Retry-After when it sends one, else exponential backoff with jitter.
+ *
+ * @param {Response|null} resp - null after a network error
+ * @returns {number} milliseconds
+ */
+function aiRetryDelay(resp, attempt) {
+    const header = resp && resp.headers.get('Retry-After');
+    if (header) {
+        const seconds = Number(header);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+        if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, AI_RETRY_MAX_MS);
+    }
+    const backoff = AI_RETRY_BASE_MS * 2 ** attempt;
+    return Math.min(backoff * (1 + Math.random() / 2), AI_RETRY_MAX_MS);
+}
 
-let editingCardId = null; // if not null, we're editing existing card
+// A 429 for a used-up quota does not clear by waiting; other 429s and 5xx do.
+async function isRetryableResponse(resp) {
+    if (resp.status >= 500) return true;
+    if (resp.status !== 429) return false;
+    const body = await resp.clone().text().catch(() => '');
+    return !body.includes('insufficient_quota');
+}
 
-function showSavedStatus(msg) {
-    if (!saveStatusEl) return;
-    saveStatusEl.textContent = msg;
-    saveStatusEl.classList.remove('hidden');
-    clearTimeout(showSavedStatus._timer);
-    showSavedStatus._timer = setTimeout(() => saveStatusEl.classList.add('hidden'), 3000);
+function cancellableSleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(aiError('Cancelled.', { cancelled: true }));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
-// ---- Card list rendering and CRUD ----
-function renderCardList() {
-    if (!cardList) return;
-    cardList.innerHTML = '';
-    if (cards.length === 0) {
-        const li = document.createElement('li');
-        li.textContent = 'No cards yet.';
-        cardList.appendChild(li);
-        return;
+/**
+ * Send a request to the AI provider and return the OK response.
+ *
+ * @param {string} path - e.g. '/chat/completions'
+ * @param {string} apiKey
+ * @param {object} [options]
+ * @param {string} [options.method='POST']
+ * @param {object|FormData} [options.body] - plain objects are sent as JSON
+ * @param {number} [options.timeout=20000] - per attempt, in ms
+ * @param {string} [options.baseUrl] - defaults to the provider's
+ * @param {number} [options.retries] - defaults to AI_MAX_RETRIES
+ * @param {boolean} [options.billable=true] - refused once the budget is spent
+ * @returns {Promise<Response>}
+ */
+async function aiRequest(path, apiKey, {
+    method = 'POST', body, timeout = 20000, baseUrl = settings.aiBaseUrl, retries = AI_MAX_RETRIES, billable = true
+} = {}) {
+    if (billable && aiBudgetSpent()) {
+        throw aiError(`This month's AI budget (US$${settings.aiMonthlyBudget}) is used up. Raise it in Settings to keep going.`, { budget: true });
     }
+    const json = body !== undefined && !(body instanceof FormData);
+    const cancelSignal = aiCancelController.signal;
+    aiInFlight++;
+    renderAiActivity();
+    try {
+        for (let attempt = 0; ; attempt++) {
+            if (cancelSignal.aborted) throw aiError('Cancelled.', { cancelled: true });
+            const ctrl = new AbortController();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                ctrl.abort();
+            }, timeout);
+            const onCancel = () => ctrl.abort();
+            cancelSignal.addEventListener('abort', onCancel);
+
+            let resp = null;
+            let failure = null;
+            try {
+                resp = await fetch(aiUrl(path, baseUrl), {
+                    method,
+                    headers: aiHeaders(apiKey, json ? 'application/json' : null),
+                    body: json ? JSON.stringify(body) : body,
+                    signal: ctrl.signal
+                });
+            } catch (err) {
+                if (cancelSignal.aborted) throw aiError('Cancelled.', { cancelled: true });
+                failure = timedOut
+                    ? aiError(`The AI provider did not answer within ${Math.round(timeout / 1000)}s.`)
+                    : aiError(navigator.onLine ? 'Could not reach the AI provider.' : 'You are offline.');
+            } finally {
+                clearTimeout(timer);
+                cancelSignal.removeEventListener('abort', onCancel);
+            }
 
-    // sort cards by days until next review (ascending)
-    const sortedCards = [...cards].sort((a, b) => a.nextReview - b.nextReview);
-
-    sortedCards.forEach((card) => {
-        const li = document.createElement('li');
+            if (resp && resp.ok) return resp;
+            // After a timeout the server may still have done (and billed) the
+            // work, so only a failed connection is safe to send again.
+            const retryable = resp ? await isRetryableResponse(resp) : !timedOut && navigator.onLine;
+            if (!retryable || attempt >= retries) {
+                throw resp ? aiError(await describeAiError(resp), { status: resp.status }) : failure;
+            }
+            const delay = aiRetryDelay(resp, attempt);
+            const reason = resp ? `The AI provider returned ${resp.status}` : failure.message.replace(/\.$/, '');
+            renderAiActivity(`${reason} – retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${retries})…`);
+            await cancellableSleep(delay, cancelSignal);
+            renderAiActivity();
+        }
+    } finally {
+        aiInFlight--;
+        renderAiActivity();
+    }
+}
 
-        const textSpan = document.createElement('span');
-        textSpan.textContent = card.question.length > 60 ? card.question.slice(0, 60) + '…' : card.question;
-        li.appendChild(textSpan);
+if (aiCancelBtn) {
+    aiCancelBtn.addEventListener('click', cancelAiRequests);
+}
 
-        const btnContainer = document.createElement('span');
+// ---- AI usage ledger ----
+// Requests, tokens and voice characters per day in LocalStorage, with a cost
+// estimated from the prices in Settings at the time of the request.
 
-        // days until due
-        const millisInDay = 24 * 60 * 60 * 1000;
-        const daysLeft = Math.max(0, Math.ceil((card.nextReview - Date.now()) / millisInDay));
-        const daysEl = document.createElement('span');
-        daysEl.textContent = `${daysLeft}d`;
-        daysEl.classList.add('days-left');
-        btnContainer.appendChild(daysEl);
+const AI_USAGE_KEY = 'ai_usage';
+const AI_USAGE_DAYS_KEPT = 120;
 
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Edit';
-        editBtn.classList.add('edit-btn');
-        editBtn.addEventListener('click', () => beginEdit(card.id));
-        // play audio button
-        if (card.audioData) {
-            const playBtn = document.createElement('button');
-            playBtn.textContent = 'Play';
-            playBtn.classList.add('play-btn');
-            playBtn.addEventListener('click', () => {
-                const audio = new Audio(card.audioData);
-                audio.play();
-            });
-            btnContainer.appendChild(playBtn);
-        }
+/**
+ * @typedef AiUsageDay
+ * @property {number} requests
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number} ttsChars - characters sent to the speech model
+ * @property {number} transcriptions - speech-to-text requests (not priced)
+ * @property {number} cost - estimated US$
+ */
 
+const aiUsageSummaryEl = document.getElementById('ai-usage-summary');
+const aiUsageDaysEl = document.getElementById('ai-usage-days');
 
-        const delBtn = document.createElement('button');
-        delBtn.textContent = 'Delete';
-        delBtn.classList.add('delete-btn');
-        delBtn.addEventListener('click', () => deleteCard(card.id));
+/**
+ * @returns {Object<string, AiUsageDay>} keyed by `dayKey()`
+ */
+function loadAiUsage() {
+    try {
+        return JSON.parse(localStorage.getItem(AI_USAGE_KEY) || '{}');
+    } catch (err) {
+        console.error('Ignoring unreadable AI usage ledger', err);
+        return {};
+    }
+}
 
-        btnContainer.appendChild(editBtn);
-        btnContainer.appendChild(delBtn);
-        li.appendChild(btnContainer);
+function aiUsageCost({ promptTokens = 0, completionTokens = 0, ttsChars = 0 }) {
+    return (promptTokens * settings.aiPriceInput + completionTokens * settings.aiPriceOutput +
+        ttsChars * settings.aiPriceTts) / 1e6;
+}
 
-        cardList.appendChild(li);
+/**
+ * Add one successful request to today's totals.
+ *
+ * @param {{promptTokens?: number, completionTokens?: number, ttsChars?: number, transcriptions?: number}} usage
+ */
+function recordAiUsage(usage) {
+    const ledger = loadAiUsage();
+    const today = dayKey(Date.now());
+    const day = ledger[today] || { requests: 0, promptTokens: 0, completionTokens: 0, ttsChars: 0, transcriptions: 0, cost: 0 };
+    day.requests += 1;
+    day.promptTokens += usage.promptTokens || 0;
+    day.completionTokens += usage.completionTokens || 0;
+    day.ttsChars += usage.ttsChars || 0;
+    day.transcriptions += usage.transcriptions || 0;
+    day.cost += aiUsageCost(usage);
+    ledger[today] = day;
+
+    const oldest = dayKey(Date.now() - AI_USAGE_DAYS_KEPT * 86400000);
+    Object.keys(ledger).forEach(key => {
+        if (key < oldest) delete ledger[key];
     });
-}
-function getCardsInReviewOrder() {
-    return [...cards].sort((a, b) => a.order - b.order);
+    localStorage.setItem(AI_USAGE_KEY, JSON.stringify(ledger));
+    renderAiUsage();
+}
+
+// Totals for the calendar month containing `ts`.
+function aiMonthUsage(ts = Date.now()) {
+    const month = dayKey(ts).slice(0, 7);
+    const total = { requests: 0, promptTokens: 0, completionTokens: 0, ttsChars: 0, transcriptions: 0, cost: 0 };
+    Object.entries(loadAiUsage()).forEach(([key, day]) => {
+        if (!key.startsWith(month)) return;
+        Object.keys(total).forEach(field => { total[field] += day[field] || 0; });
+    });
+    return total;
+}
+
+function aiBudgetSpent() {
+    return settings.aiMonthlyBudget > 0 && aiMonthUsage().cost >= settings.aiMonthlyBudget;
+}
+
+function formatUsd(amount) {
+    return `US$${amount < 1 ? amount.toFixed(3) : amount.toFixed(2)}`;
+}
+
+function describeAiUsage(day) {
+    const parts = [`${day.requests} request(s)`,
+        `${(day.promptTokens + day.completionTokens).toLocaleString()} tokens`];
+    if (day.ttsChars) parts.push(`${day.ttsChars.toLocaleString()} voice characters`);
+    if (day.transcriptions) parts.push(`${day.transcriptions} transcription(s)`);
+    return `${parts.join(', ')} ≈ ${formatUsd(day.cost)}`;
+}
+
+function renderAiUsage() {
+    if (!aiUsageSummaryEl) return;
+    const month = aiMonthUsage();
+    let summary = `This month: ${describeAiUsage(month)}`;
+    if (settings.aiMonthlyBudget > 0) {
+        summary += aiBudgetSpent()
+            ? ` – the budget of ${formatUsd(settings.aiMonthlyBudget)} is used up.`
+            : ` of a ${formatUsd(settings.aiMonthlyBudget)} budget.`;
+    }
+    aiUsageSummaryEl.textContent = summary;
+
+    const ledger = loadAiUsage();
+    aiUsageDaysEl.textContent = '';
+    Object.keys(ledger).sort().reverse().slice(0, 7).forEach(key => {
+        const li = document.createElement('li');
+        li.textContent = `${key}: ${describeAiUsage(ledger[key])}`;
+        aiUsageDaysEl.appendChild(li);
+    });
+}
+
+renderAiUsage();
+
+/**
+ * Turn a failed provider response into a message a learner can act on.
+ *
+ * @param {Response} resp
+ * @returns {Promise<string>}
+ */
+async function describeAiError(resp) {
+    let detail = '';
+    try {
+        const body = await resp.text();
+        try {
+            const parsed = JSON.parse(body);
+            detail = (parsed.error && (parsed.error.message || parsed.error)) || parsed.message || body;
+        } catch {
+            detail = body;
+        }
+    } catch {
+        // body unreadable – fall back to the status alone
+    }
+    if (resp.status === 401 || resp.status === 403) {
+        return `The API key was rejected (${resp.status}). Check it in Settings.`;
+    }
+    if (resp.status === 429) {
+        return `Rate limit or quota reached (429). ${detail}`.trim();
+    }
+    return `The AI provider returned ${resp.status}. ${detail}`.trim();
+}
+
+/**
+ * Parse a model reply that should be JSON, tolerating a ```json fence.
+ *
+ * @param {string} reply
+ * @returns {any}
+ */
+function parseJsonReply(reply) {
+    return JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+}
+
+/**
+ * Run a chat completion with the model configured for `task`.
+ *
+ * @param {'paragraph'|'translation'} task
+ * @param {object} payload - chat body without `model`
+ * @returns {Promise<string>} the assistant's reply, trimmed
+ */
+async function aiChat(task, payload, apiKey, timeout) {
+    const resp = await aiRequest('/chat/completions', apiKey, { body: { model: aiModelFor(task), ...payload }, timeout });
+    const data = await resp.json();
+    const reply = data.choices[0].message.content.trim();
+    // Servers that leave out `usage` are estimated at ~4 characters a token.
+    const usage = data.usage || {};
+    recordAiUsage({
+        promptTokens: usage.prompt_tokens ?? Math.ceil(JSON.stringify(payload.messages).length / 4),
+        completionTokens: usage.completion_tokens ?? Math.ceil(reply.length / 4)
+    });
+    return reply;
+}
+
+/**
+ * Synthesize speech with the configured TTS model and voice.
+ *
+ * @returns {Promise<Blob>} mp3 audio
+ */
+async function aiSpeech(text, apiKey) {
+    const resp = await aiRequest('/audio/speech', apiKey, {
+        body: {
+            model: aiModelFor('tts'),
+            input: text,
+            voice: settings.ttsVoice,
+            // Slightly higher pitch for extra brightness
+            voice_preset: {
+                pitch: 4  // +4 semitones for a younger, lighter tone
+            },
+            format: 'mp3'
+        }
+    });
+    const arrayBuffer = await resp.arrayBuffer();
+    recordAiUsage({ ttsChars: text.length });
+    return new Blob([arrayBuffer], { type: 'audio/mpeg' });
+}
+
+/**
+ * Transcribe a recording with the configured speech-to-text model. The
+ * endpoint follows the AI provider unless `sttBaseUrl` points elsewhere
+ * (e.g. a local Whisper server).
+ *
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function aiTranscribe(blob, apiKey) {
+    const ext = (blob.type.split('/')[1] || 'webm').split(';')[0];
+    const form = new FormData();
+    form.append('file', blob, `attempt.${ext}`);
+    form.append('model', aiModelFor('transcription'));
+    form.append('language', 'en');
+    form.append('response_format', 'json');
+    const resp = await aiRequest('/audio/transcriptions', apiKey, {
+        body: form,
+        timeout: 60000,
+        baseUrl: settings.sttBaseUrl || settings.aiBaseUrl
+    });
+    const data = await resp.json();
+    recordAiUsage({ transcriptions: 1 });
+    return (data.text || '').trim();
+}
+
+const PARAGRAPH_LENGTHS = {
+    short: { sentences: '3-5', maxTokens: 180 },
+    medium: { sentences: '6-10', maxTokens: 300 },
+    long: { sentences: '10-15', maxTokens: 500 }
+};
+
+async function generateSentence(prompt, apiKey) {
+    const { sentences, maxTokens } = PARAGRAPH_LENGTHS[settings.paragraphLength] || PARAGRAPH_LENGTHS.medium;
+    return aiChat('paragraph', {
+        messages: [
+            { role: 'system', content: `You are an assistant who creates English paragraphs (${sentences} sentences) suitable for ESL learners.` },
+            { role: 'user', content: `Create one English paragraph (${sentences} sentences) based on: "${prompt}". Do NOT include translations. Do NOT wrap in quotes.` }
+        ],
+        max_tokens: maxTokens,
+        temperature: 0.7
+    }, apiKey);
+}
+
+async function translateToTraditionalChinese(text, apiKey) {
+    // Break very long input into approximate 3500-char chunks so each request
+    // comfortably fits within token limits and avoids truncation. The
+    // resulting Chinese segments are then re-joined with blank lines,
+    // preserving paragraph structure.
+
+    const CHUNK_SIZE = 3500;
+    const chunks = [];
+    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+        chunks.push(text.slice(i, i + CHUNK_SIZE));
+    }
+
+    const translations = [];
+    for (const chunk of chunks) {
+        translations.push(await translateChunk(chunk, apiKey));
+    }
+
+    return translations.join('\n\n');
+}
+
+async function translateChunk(englishText, apiKey) {
+    // Provide a generous max_tokens based on input length (chars * 1.5 ≈ tokens).
+    const maxTokens = Math.min(4096, Math.ceil(englishText.length * 1.5));
+
+    return aiChat('translation', {
+        messages: [
+            { role: 'system', content: 'You are a strict translator. Return ONLY the full Traditional Chinese translation of the user provided text. Preserve paragraph breaks. Do NOT omit or summarise.' },
+            { role: 'user', content: `請完整翻譯下列內容為繁體中文（僅中文、請保留段落換行）：\n\n${englishText}` }
+        ],
+        temperature: 0.2,
+        max_tokens: maxTokens
+    }, apiKey, 60000);
+}
+
+async function generateTTS(text, apiKey) {
+    return aiSpeech(text, apiKey);
+}
+
+// Inputs bound straight to a settings key via `data-setting`. Numeric
+// settings are parsed; an invalid number restores the previous value.
+// Checkboxes map to boolean settings.
+function syncSettingInput(input) {
+    const value = settings[input.dataset.setting];
+    if (input.type === 'checkbox') {
+        input.checked = value;
+    } else {
+        input.value = value;
+    }
+}
+
+document.querySelectorAll('[data-setting]').forEach(input => {
+    const key = input.dataset.setting;
+    syncSettingInput(input);
+    input.addEventListener('change', () => {
+        if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+            settings[key] = input.checked;
+        } else if (typeof DEFAULT_SETTINGS[key] === 'number') {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value) && value >= 0) settings[key] = value;
+        } else {
+            // An emptied field falls back to the default, except for the auth
+            // fields where blank is meaningful (no key / no "Bearer " prefix).
+            const value = key === 'aiAuthPrefix' ? input.value : input.value.trim();
+            const blankAllowed = key === 'aiAuthHeader' || key === 'aiAuthPrefix';
+            settings[key] = (value || blankAllowed) ? value : DEFAULT_SETTINGS[key];
+        }
+        syncSettingInput(input);
+        saveSettings();
+        if (key === 'defaultPlaybackRate') setFastPlayback(settings.defaultPlaybackRate > 1);
+        if (key === 'aiAuthHeader') renderApiKeyStatus();
+        if (key === 'testMode') showNextCard();
+        if (key.startsWith('aiPrice') || key === 'aiMonthlyBudget') renderAiUsage();
+    });
+});
+
+// ---- API key (Settings) ----
+
+function renderApiKeyStatus() {
+    if (!apiKeyStatusEl) return;
+    const key = localStorage.getItem(API_KEY_STORAGE);
+    if (!settings.aiAuthHeader) {
+        apiKeyStatusEl.textContent = 'The configured AI provider does not use a key.';
+    } else if (key) {
+        apiKeyStatusEl.textContent = `Saved key: ${key.slice(0, 3)}…${key.slice(-4)}`;
+    } else {
+        apiKeyStatusEl.textContent = 'No key saved yet. AI buttons will not work until you add one.';
+    }
+    apiKeyRemoveBtn.disabled = !key;
+}
+
+function showApiKeyTestResult(ok, message) {
+    apiKeyTestStatus.textContent = message;
+    apiKeyTestStatus.className = ok ? 'ok' : 'error';
+}
+
+/**
+ * Check a key by listing the provider's models – cheap and free on OpenAI.
+ */
+async function testApiKey(key) {
+    await aiRequest('/models', key, { method: 'GET', timeout: 15000, retries: 0, billable: false });
+}
+
+if (apiKeySaveBtn) {
+    renderApiKeyStatus();
+
+    apiKeySaveBtn.addEventListener('click', () => {
+        const key = apiKeyInput.value.trim();
+        if (!key) {
+            showApiKeyTestResult(false, 'Type or paste a key first.');
+            return;
+        }
+        localStorage.setItem(API_KEY_STORAGE, key);
+        apiKeyInput.value = '';
+        showApiKeyTestResult(true, 'Key saved.');
+        renderApiKeyStatus();
+    });
+
+    apiKeyTestBtn.addEventListener('click', async () => {
+        // Test what is typed, or the saved key when the field is empty.
+        const key = apiKeyInput.value.trim() || localStorage.getItem(API_KEY_STORAGE) || '';
+        if (!key && settings.aiAuthHeader) {
+            showApiKeyTestResult(false, 'There is no key to test.');
+            return;
+        }
+        apiKeyTestBtn.disabled = true;
+        apiKeyTestStatus.className = '';
+        apiKeyTestStatus.textContent = 'Testing…';
+        try {
+            await testApiKey(key);
+            showApiKeyTestResult(true, 'The key works ✓');
+        } catch (err) {
+            console.error('API key test failed', err);
+            showApiKeyTestResult(false, err.name === 'AbortError' ? 'No answer from the AI provider.' : err.message);
+        } finally {
+            apiKeyTestBtn.disabled = false;
+        }
+    });
+
+    apiKeyRemoveBtn.addEventListener('click', () => {
+        if (!confirm('Remove the saved API key from this browser?')) return;
+        localStorage.removeItem(API_KEY_STORAGE);
+        showApiKeyTestResult(true, 'Key removed.');
+        renderApiKeyStatus();
+    });
+}
+
+if (aiProviderResetBtn) {
+    aiProviderResetBtn.addEventListener('click', () => {
+        ['aiBaseUrl', 'aiAuthHeader', 'aiAuthPrefix', 'aiModelParagraph', 'aiModelTranslation', 'aiModelTts', 'ttsVoice',
+            'sttBaseUrl', 'aiModelTranscription'].forEach(key => {
+            settings[key] = DEFAULT_SETTINGS[key];
+        });
+        saveSettings();
+        document.querySelectorAll('[data-setting]').forEach(syncSettingInput);
+        renderApiKeyStatus();
+    });
+}
+
+// Decode a (base64 or URL-encoded) data URL synchronously – usable inside an
+// IndexedDB upgrade transaction, which must not await.
+function dataURLToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, comma);
+    const data = dataUrl.slice(comma + 1);
+    const mime = (header.match(/^data:([^;,]+)/) || [])[1] || 'audio/mpeg';
+    const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mime });
+}
+
+/**
+ * Point an <audio> element at a card's clip (a cloze card plays its
+ * paragraph's), loading the Blob on demand.
+ * The previous object URL of that element is revoked so clips don't pile up
+ * in memory. Resolves to false if the card has no audio.
+ *
+ * @param {HTMLAudioElement} audioEl
+ * @param {Flashcard} card
+ * @returns {Promise<boolean>}
+ */
+async function loadCardAudio(audioEl, card) {
+    releaseCardAudio(audioEl);
+    const token = audioEl._loadToken;
+    const owner = audioOwner(card);
+    const blob = owner.hasAudio ? await getAudio(owner.id) : null;
+    // Another card was opened while this clip was loading.
+    if (!blob || audioEl._loadToken !== token) return false;
+    audioEl._blob = blob; // kept for sentence alignment
+    audioEl._objectUrl = URL.createObjectURL(blob);
+    audioEl.src = audioEl._objectUrl;
+    audioEl.load();
+    return true;
+}
+
+function releaseCardAudio(audioEl) {
+    audioEl._loadToken = (audioEl._loadToken || 0) + 1;
+    if (audioEl._objectUrl) {
+        URL.revokeObjectURL(audioEl._objectUrl);
+        audioEl._objectUrl = null;
+    }
+    audioEl._blob = null;
+    audioEl.removeAttribute('src');
+    audioEl.load();
+}
+
+const form = document.getElementById('card-form');
+
+const dueCountEl = document.getElementById('due-count');
+const deckDueCountsEl = document.getElementById('deck-due-counts');
+const newLimitInput = document.getElementById('new-limit');
+const reviewLimitInput = document.getElementById('review-limit');
+const deckFilterSelects = document.querySelectorAll('.deck-filter');
+const tagFilterSelects = document.querySelectorAll('.tag-filter');
+const skipDayBtn = document.getElementById('skip-day-btn');
+const cardBox = document.getElementById('card-box');
+const cardQuestionEl = document.getElementById('card-question');
+const cardAnswerEl = document.getElementById('card-answer');
+const revealArea = document.getElementById('reveal-area');
+const cardAudio = document.getElementById('card-audio');
+const audioToggleBtn = document.getElementById('audio-toggle-btn');
+const rewindBtn = document.getElementById('rewind-5-btn');
+const restartBtn = document.getElementById('restart-btn');
+const speedToggleBtn = document.getElementById('speed-toggle-btn');
+const showAnswerBtn = document.getElementById('show-answer');
+const dictationArea = document.getElementById('dictation-area');
+const dictationInput = document.getElementById('dictation-input');
+const dictationCheckBtn = document.getElementById('dictation-check-btn');
+const dictationResult = document.getElementById('dictation-result');
+const dictationScoreEl = document.getElementById('dictation-score');
+const dictationDiffEl = document.getElementById('dictation-diff');
+const dictationNextBtn = document.getElementById('dictation-next-btn');
+const cardList = document.getElementById('card-list');
+const saveCardBtn = document.getElementById('save-card-btn');
+const cancelEditBtn = document.getElementById('cancel-edit-btn');
+const noDueEl = document.getElementById('no-due');
+const reviewList = document.getElementById("review-list");
+const reviewCardBox = document.getElementById("review-card-box");
+const reviewCardQuestionEl = document.getElementById("review-card-question");
+const reviewCardAnswerEl = document.getElementById("review-card-answer");
+const reviewRevealArea = document.getElementById("review-reveal-area");
+const reviewAudio = document.getElementById("review-card-audio");
+const reviewAudioToggleBtn = document.getElementById("review-audio-toggle-btn");
+const reviewRewindBtn = document.getElementById("review-rewind-5-btn");
+const reviewRestartBtn = document.getElementById("review-restart-btn");
+const reviewSpeedToggleBtn = document.getElementById("review-speed-toggle-btn");
+const reviewShowAnswerBtn = document.getElementById("review-show-answer");
+const saveStatusEl = document.getElementById('save-status');
+const undoToast = document.getElementById('undo-toast');
+const undoMessageEl = document.getElementById('undo-message');
+const undoBtn = document.getElementById('undo-btn');
+
+function autoSaveCard(question, answer, audioBlob, meta) {
+    if (editingCardId) {
+        updateExistingCard(editingCardId, question, answer, audioBlob, meta);
+    } else {
+        createCard(question, answer, audioBlob, meta);
+    }
+    showSavedStatus('Card saved!');
+}
+
+// utility to stop any ongoing audio and looping timer
+function stopAudio() {
+    clearTimeout(audioLoopTimeout);
+    audioLoopTimeout = null;
+    stopSpeaking();
+    studySentences.stop();
+    studyShadowing.abort();
+    if (cardAudio) {
+        cardAudio.pause();
+        cardAudio.onended = null;
+        cardAudio.currentTime = 0;
+    }
+    if (audioToggleBtn) {
+        audioToggleBtn.textContent = '▶️';
+    }
+}
+
+function stopReviewAudio() {
+    clearTimeout(reviewAudioAdvanceTimeout);
+    reviewAudioAdvanceTimeout = null;
+    stopSpeaking();
+    reviewSentences.stop();
+    reviewShadowing.abort();
+    if (reviewAudio) {
+        reviewAudio.pause();
+        reviewAudio.onended = null;
+        reviewAudio.currentTime = 0;
+    }
+    if (reviewAudioToggleBtn) {
+        reviewAudioToggleBtn.textContent = "▶️";
+    }
+}
+
+function setupReviewAutoAdvance() {
+    if (!reviewAudio) return;
+    reviewAudio.onended = () => {
+        // Stay on the card while a sentence repeats or the learner shadows it.
+        if (reviewSentences.isLooping() || reviewShadowing.isOn()) return;
+        clearTimeout(reviewAudioAdvanceTimeout);
+        reviewAudioAdvanceTimeout = setTimeout(() => {
+            advanceToNextReviewCard();
+        }, 500);
+    };
+}
+
+function advanceToNextReviewCard() {
+    const orderedIds = getCardsInReviewOrder().map(card => card.id);
+    reviewPlaybackOrder = orderedIds;
+    if (reviewPlaybackOrder.length === 0) return;
+
+    if (currentReviewCard) {
+        const currentIndex = reviewPlaybackOrder.indexOf(currentReviewCard.id);
+        if (currentIndex !== -1) {
+            reviewPlaybackIndex = currentIndex;
+        }
+    }
+
+    reviewPlaybackIndex = (reviewPlaybackIndex + 1 + reviewPlaybackOrder.length) % reviewPlaybackOrder.length;
+    const nextId = reviewPlaybackOrder[reviewPlaybackIndex];
+    const nextCard = cards.find(c => c.id === nextId);
+    if (nextCard) {
+        openReviewCard(nextCard.id);
+    }
+}
+function setupAudioLooping() {
+    if (!cardAudio) return;
+    cardAudio.onended = () => {
+        if (studySentences.isLooping()) return;
+        audioLoopTimeout = setTimeout(() => {
+            cardAudio.currentTime = 0;
+            cardAudio.play().catch(() => {/* autoplay may be blocked */});
+        }, settings.loopPauseSeconds * 1000); // pause before replay
+    };
+}
+
+const ratingButtons = document.querySelectorAll('.rating-buttons button');
+const ratingButtonsFour = document.getElementById('rating-buttons-four');
+const ratingButtonsTwo = document.getElementById('rating-buttons-two');
+const ratingModeSelect = document.getElementById('rating-mode-select');
+
+let audioLoopTimeout = null;
+let reviewAudioAdvanceTimeout = null;
+let fastPlayback = settings.defaultPlaybackRate > 1; // global playback speed state (true = 1.2x)
+
+// Apply a speed to both players and their toggle buttons.
+function setFastPlayback(fast) {
+    fastPlayback = fast;
+    const rate = fastPlayback ? 1.2 : 1;
+    const label = fastPlayback ? '1.2x' : '1x';
+    if (cardAudio) cardAudio.playbackRate = rate;
+    if (reviewAudio) reviewAudio.playbackRate = rate;
+    if (speedToggleBtn) speedToggleBtn.textContent = label;
+    if (reviewSpeedToggleBtn) reviewSpeedToggleBtn.textContent = label;
+}
+
+// ---- Offline speech (Web Speech API) ----
+// Cards without a stored clip are read aloud by the browser's own voices, so
+// they can be listened to with no API key and no network.
+
+const speechSupported = 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+const offlineVoiceSelect = document.getElementById('offline-voice-select');
+const offlineVoiceTestBtn = document.getElementById('offline-voice-test-btn');
+const offlineVoiceNote = document.getElementById('offline-voice-note');
+
+let currentUtterance = null; // the utterance whose callbacks are still live
+
+/**
+ * The voice picked in Settings, else the first English voice, else null
+ * (the browser default).
+ *
+ * @returns {SpeechSynthesisVoice|null}
+ */
+function getOfflineVoice() {
+    const voices = speechSynthesis.getVoices();
+    return voices.find(v => v.voiceURI === settings.offlineVoice) ||
+        voices.find(v => /^en\b/i.test(v.lang)) ||
+        null;
+}
+
+/**
+ * Read text with the offline voice, cancelling anything already speaking.
+ * Callbacks only fire for the latest utterance, so a cancelled one cannot
+ * restart a loop.
+ *
+ * @param {string} text
+ * @param {{onstart?: Function, onend?: Function}} [callbacks]
+ */
+function speakOffline(text, { onstart, onend, onboundary } = {}) {
+    if (!speechSupported || !text) return;
+    stopSpeaking();
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = getOfflineVoice();
+    if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+    } else {
+        utterance.lang = 'en-US';
+    }
+    utterance.rate = fastPlayback ? 1.2 : 1;
+    utterance.onstart = () => {
+        if (utterance === currentUtterance && onstart) onstart();
+    };
+    const finish = () => {
+        if (utterance !== currentUtterance) return;
+        currentUtterance = null;
+        if (onend) onend();
+    };
+    utterance.onend = finish;
+    utterance.onerror = finish;
+    if (onboundary) {
+        utterance.onboundary = (e) => {
+            if (utterance === currentUtterance) onboundary(e.charIndex);
+        };
+    }
+    currentUtterance = utterance;
+    speechSynthesis.speak(utterance);
+}
+
+function stopSpeaking() {
+    if (!speechSupported) return;
+    currentUtterance = null;
+    speechSynthesis.cancel();
+}
+
+function isSpeaking() {
+    return currentUtterance !== null;
+}
+
+// Voices load asynchronously in most browsers; refill the picker when they do.
+function populateOfflineVoices() {
+    if (!offlineVoiceSelect) return;
+    const voices = speechSynthesis.getVoices()
+        .slice()
+        .sort((a, b) => {
+            // English voices first, then by name
+            const ae = /^en\b/i.test(a.lang) ? 0 : 1;
+            const be = /^en\b/i.test(b.lang) ? 0 : 1;
+            return ae - be || a.name.localeCompare(b.name);
+        });
+    offlineVoiceSelect.innerHTML = '';
+    offlineVoiceSelect.appendChild(new Option('Browser default', ''));
+    voices.forEach(v => {
+        const label = `${v.name} (${v.lang})${v.localService ? '' : ' – needs network'}`;
+        offlineVoiceSelect.appendChild(new Option(label, v.voiceURI));
+    });
+    offlineVoiceSelect.value = settings.offlineVoice;
+    // A voice saved on another device may not exist here
+    if (offlineVoiceSelect.value !== settings.offlineVoice) offlineVoiceSelect.value = '';
+}
+
+if (speechSupported) {
+    populateOfflineVoices();
+    speechSynthesis.addEventListener('voiceschanged', populateOfflineVoices);
+    if (offlineVoiceTestBtn) {
+        offlineVoiceTestBtn.addEventListener('click', () => {
+            speakOffline('This is how your cards will sound without an audio file.');
+        });
+    }
+} else {
+    if (offlineVoiceSelect) offlineVoiceSelect.disabled = true;
+    if (offlineVoiceTestBtn) offlineVoiceTestBtn.disabled = true;
+    if (offlineVoiceNote) offlineVoiceNote.textContent = 'This browser has no built-in speech, so cards without audio stay silent.';
+}
+
+// Add form: preview the paragraph without spending an API call.
+if (speakOfflineBtn) {
+    speakOfflineBtn.classList.toggle('hidden', !speechSupported);
+    speakOfflineBtn.addEventListener('click', () => {
+        const paragraph = questionInput.value.trim();
+        if (!paragraph) {
+            alert('Please type an English paragraph first.');
+            return;
+        }
+        if (isSpeaking()) {
+            stopSpeaking();
+        } else {
+            speakOffline(paragraph);
+        }
+    });
+}
+
+// Test view: read the question, then repeat after the loop pause like a clip.
+function speakStudyCard() {
+    if (!currentCard) return;
+    speakOffline(currentCard.question, {
+        onstart: () => { audioToggleBtn.textContent = '⏸️'; },
+        onboundary: (charIndex) => studySentences.highlightAtChar(charIndex),
+        onend: () => {
+            audioToggleBtn.textContent = '▶️';
+            studySentences.highlight(-1);
+            audioLoopTimeout = setTimeout(speakStudyCard, settings.loopPauseSeconds * 1000);
+        }
+    });
+}
+
+// Listen view: read the question once, then move on like a finished clip.
+function speakReviewCard() {
+    if (!currentReviewCard) return;
+    speakOffline(currentReviewCard.question, {
+        onstart: () => { reviewAudioToggleBtn.textContent = '⏸️'; },
+        onboundary: (charIndex) => reviewSentences.highlightAtChar(charIndex),
+        onend: () => {
+            reviewAudioToggleBtn.textContent = '▶️';
+            reviewSentences.highlight(-1);
+            reviewAudioAdvanceTimeout = setTimeout(advanceToNextReviewCard, 500);
+        }
+    });
+}
+
+// ---- Sentence-aligned playback ----
+// Paragraph cards are shown one sentence per span. Each sentence gets a time
+// range inside the card's single clip, found afterwards from the pauses in
+// the audio, so any clip works – generated, uploaded or imported.
+
+/**
+ * @typedef SentenceTiming
+ * @property {string} text
+ * @property {number} start - seconds into the clip
+ * @property {number} end - seconds into the clip
+ */
+
+const SENTENCE_ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr|vs|etc|e\.g|i\.e)\.$/i;
+const ALIGN_WINDOW_SECONDS = 0.02; // loudness is measured per 20 ms
+const ALIGN_MIN_PAUSE_SECONDS = 0.15; // shorter gaps are breaths, not sentence breaks
+
+/**
+ * Split a paragraph into sentences, keeping closing quotes with their
+ * sentence and not breaking after common abbreviations or before a
+ * lower-case continuation.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+    const parts = text.replace(/\s+/g, ' ').trim().match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g) || [];
+    const sentences = [];
+    parts.map(p => p.trim()).filter(Boolean).forEach(part => {
+        const prev = sentences[sentences.length - 1];
+        // "Mr. Smith" or '"Fine!" she said' – not a new sentence
+        if (prev && (SENTENCE_ABBREVIATIONS.test(prev) || /^[a-z]/.test(part))) {
+            sentences[sentences.length - 1] = `${prev} ${part}`;
+        } else {
+            sentences.push(part);
+        }
+    });
+    return sentences;
+}
+
+/**
+ * Decode a clip and place a break between each pair of sentences at the
+ * longest pause near where the text length says the break should be.
+ * Falls back to splitting by text length when the clip cannot be decoded.
+ *
+ * @param {Blob} blob
+ * @param {string[]} texts
+ * @param {number} fallbackDuration - the <audio> element's duration
+ * @returns {Promise<SentenceTiming[]>}
+ */
+async function alignSentences(blob, texts, fallbackDuration) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx || texts.length < 2) return placeSentenceBreaks(texts, fallbackDuration, []);
+    const ctx = new Ctx();
+    try {
+        const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+        const pauses = findPauses(buffer.getChannelData(0), buffer.sampleRate);
+        return placeSentenceBreaks(texts, buffer.duration, pauses);
+    } catch (err) {
+        console.warn('Could not decode audio for sentence alignment', err);
+        return placeSentenceBreaks(texts, fallbackDuration, []);
+    } finally {
+        ctx.close();
+    }
+}
+
+/**
+ * Quiet stretches inside a clip (leading and trailing silence excluded).
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{at: number, length: number}[]} midpoint and length in seconds
+ */
+function findPauses(samples, sampleRate) {
+    const win = Math.max(1, Math.round(sampleRate * ALIGN_WINDOW_SECONDS));
+    const step = win / sampleRate;
+    const levels = [];
+    let peak = 0;
+    for (let i = 0; i < samples.length; i += win) {
+        const end = Math.min(samples.length, i + win);
+        let sum = 0;
+        for (let j = i; j < end; j++) sum += samples[j] * samples[j];
+        const rms = Math.sqrt(sum / (end - i));
+        levels.push(rms);
+        if (rms > peak) peak = rms;
+    }
+    const threshold = peak * 0.05;
+    const pauses = [];
+    let runStart = -1;
+    for (let i = 0; i <= levels.length; i++) {
+        const quiet = i < levels.length && levels[i] < threshold;
+        if (quiet && runStart < 0) runStart = i;
+        if (!quiet && runStart >= 0) {
+            const length = (i - runStart) * step;
+            if (runStart > 0 && i < levels.length && length >= ALIGN_MIN_PAUSE_SECONDS) {
+                pauses.push({ at: ((runStart + i) / 2) * step, length });
+            }
+            runStart = -1;
+        }
+    }
+    return pauses;
+}
+
+/**
+ * @param {string[]} texts
+ * @param {number} duration - seconds
+ * @param {{at: number, length: number}[]} pauses
+ * @returns {SentenceTiming[]}
+ */
+function placeSentenceBreaks(texts, duration, pauses) {
+    const total = texts.reduce((n, t) => n + t.length, 0) || 1;
+    const breaks = [];
+    let chars = 0;
+    let prev = 0;
+    for (let i = 0; i < texts.length - 1; i++) {
+        chars += texts[i].length;
+        const expected = duration * chars / total;
+        // Search at most half a sentence either side (but at least 1.5 s).
+        const reach = Math.max(1.5, duration * texts[i].length / total / 2);
+        let best = null;
+        let bestScore = 0;
+        pauses.forEach(p => {
+            const distance = Math.abs(p.at - expected);
+            if (p.at <= prev || distance > reach) return;
+            const score = p.length / (1 + distance);
+            if (score > bestScore) {
+                best = p;
+                bestScore = score;
+            }
+        });
+        prev = best ? best.at : Math.max(expected, prev);
+        breaks.push(prev);
+    }
+    return texts.map((text, i) => ({
+        text,
+        start: i === 0 ? 0 : breaks[i - 1],
+        end: i < breaks.length ? breaks[i] : duration
+    }));
+}
+
+/**
+ * The card's sentence timings, aligning and saving them the first time the
+ * clip is played or after the question text changed.
+ *
+ * @param {Flashcard} card
+ * @param {HTMLAudioElement} audioEl - already loaded with the card's clip
+ * @returns {Promise<SentenceTiming[]>}
+ */
+async function ensureSentenceTimings(card, audioEl) {
+    const texts = splitSentences(card.question);
+    const saved = card.sentences;
+    if (Array.isArray(saved) && saved.length === texts.length && saved.every((s, i) => s.text === texts[i])) {
+        return saved;
+    }
+    if (!audioEl._blob) return null;
+    if (!Number.isFinite(audioEl.duration)) {
+        await new Promise(resolve => audioEl.addEventListener('loadedmetadata', resolve, { once: true }));
+    }
+    card.sentences = await alignSentences(audioEl._blob, texts, audioEl.duration);
+    putCard(card);
+    return card.sentences;
+}
+
+let sentenceLoopOn = false; // shared by the Test and Study views
+
+/**
+ * Wire a question element and its <audio> for sentence playback: the
+ * paragraph is shown as clickable sentences, the one being heard is
+ * highlighted, and with looping on a clicked sentence repeats by itself.
+ * Cards without a clip get the same behaviour through the offline voice.
+ *
+ * @param {object} parts
+ * @param {HTMLAudioElement} parts.audioEl
+ * @param {HTMLElement} parts.questionEl
+ * @param {HTMLButtonElement} parts.loopBtn
+ * @param {HTMLButtonElement} parts.toggleBtn - the view's play/pause button
+ * @param {Function} parts.cancelTimers - clears the view's replay/advance timer
+ * @param {Function} [parts.onSentenceClick] - gets the sentence index first; return true to take over the click
+ */
+function createSentencePlayer({ audioEl, questionEl, loopBtn, toggleBtn, cancelTimers, onSentenceClick }) {
+    let card = null;
+    let spans = [];
+    let charStarts = []; // offset of each sentence in card.question
+    let timings = null;
+    let current = -1;
+    let loopIndex = null; // sentence repeating by itself, if any
+    let loopTimeout = null;
+    let frame = null;
+
+    function highlight(index) {
+        if (index === current) return;
+        if (spans[current]) spans[current].classList.remove('speaking');
+        current = index;
+        if (spans[current]) spans[current].classList.add('speaking');
+    }
+
+    function markLoop() {
+        spans.forEach((span, i) => span.classList.toggle('looping', i === loopIndex));
+    }
+
+    function indexAtTime(t) {
+        if (!timings) return -1;
+        return timings.findIndex((s, i) => t < s.end || i === timings.length - 1);
+    }
+
+    // Runs every frame while the clip plays: timeupdate fires too rarely to
+    // stop cleanly at a sentence end.
+    function tick() {
+        frame = null;
+        if (audioEl.paused) return;
+        const t = audioEl.currentTime;
+        if (loopIndex !== null && timings) {
+            const s = timings[loopIndex];
+            const last = loopIndex === timings.length - 1;
+            if (t >= s.end - (last ? 0.15 : 0) || t < s.start - 0.3) {
+                audioEl.pause();
+                scheduleLoop();
+                return;
+            }
+        }
+        highlight(indexAtTime(t));
+        frame = requestAnimationFrame(tick);
+    }
+
+    function stop() {
+        clearTimeout(loopTimeout);
+        loopTimeout = null;
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        loopIndex = null;
+        highlight(-1);
+        markLoop();
+    }
+
+    function scheduleLoop() {
+        clearTimeout(loopTimeout);
+        loopTimeout = setTimeout(() => playSentence(loopIndex), settings.loopPauseSeconds * 1000);
+    }
+
+    function playSentence(index) {
+        if (!card || index === null || !spans[index]) return;
+        clearTimeout(loopTimeout);
+        cancelTimers();
+        if (cardHasAudio(card)) {
+            if (!timings) return;
+            audioEl.currentTime = timings[index].start;
+            audioEl.play().catch(() => {});
+            return;
+        }
+        if (!speechSupported) return;
+        speakOffline(spans[index].textContent, {
+            onstart: () => {
+                highlight(index);
+                toggleBtn.textContent = '⏸️';
+            },
+            onend: () => {
+                highlight(-1);
+                toggleBtn.textContent = '▶️';
+                if (loopIndex === index) scheduleLoop();
+            }
+        });
+    }
+
+    audioEl.addEventListener('play', () => {
+        clearTimeout(loopTimeout);
+        if (frame === null) frame = requestAnimationFrame(tick);
+    });
+    audioEl.addEventListener('ended', () => {
+        highlight(-1);
+        // The last sentence can run into the end of the clip.
+        if (loopIndex !== null) {
+            cancelTimers();
+            scheduleLoop();
+        }
+    });
+
+    loopBtn.addEventListener('click', () => {
+        sentenceLoopOn = !sentenceLoopOn;
+        document.querySelectorAll('#sentence-loop-btn, #review-sentence-loop-btn').forEach(btn => {
+            btn.classList.toggle('sentence-loop-on', sentenceLoopOn);
+        });
+        // Turning it on mid-paragraph keeps repeating the sentence being heard.
+        loopIndex = sentenceLoopOn && current >= 0 ? current : null;
+        markLoop();
+    });
+
+    return {
+        /** Render a card's question as sentences and align them in the background. */
+        show(newCard) {
+            stop();
+            card = newCard;
+            timings = null;
+            if (card.type === 'cloze') {
+                // The blank is the point of the card – no sentence clicking.
+                spans = [];
+                charStarts = [];
+                renderClozeQuestion(questionEl, card, false);
+                loopBtn.classList.add('hidden');
+                return;
+            }
+            if (card.type === 'reverse') {
+                // The Chinese is the prompt; the English comes with the answer.
+                spans = [];
+                charStarts = [];
+                questionEl.textContent = reversePrompt(card);
+                loopBtn.classList.add('hidden');
+                return;
+            }
+            const texts = splitSentences(card.question);
+            questionEl.textContent = '';
+            spans = [];
+            charStarts = [];
+            let searchFrom = 0;
+            texts.forEach((text, i) => {
+                const span = document.createElement('span');
+                span.className = 'sentence';
+                span.textContent = text;
+                span.addEventListener('click', (e) => {
+                    if (!cardHasAudio(card) && !speechSupported) return; // nothing to play – let the click reveal
+                    e.stopPropagation();
+                    if (onSentenceClick && onSentenceClick(i)) return;
+                    loopIndex = sentenceLoopOn ? i : null;
+                    markLoop();
+                    playSentence(i);
+                });
+                if (i > 0) questionEl.appendChild(document.createTextNode(' '));
+                questionEl.appendChild(span);
+                spans.push(span);
+                // Offsets into the original text for speech boundary events
+                const at = card.question.indexOf(text.slice(0, 12), searchFrom);
+                charStarts.push(at >= 0 ? at : searchFrom);
+                searchFrom = at >= 0 ? at + 1 : searchFrom;
+            });
+            loopBtn.classList.toggle('hidden', !(cardHasAudio(card) || speechSupported));
+            loopBtn.classList.toggle('sentence-loop-on', sentenceLoopOn);
+        },
+
+        /** Call once the card's clip is loaded into the audio element. */
+        async align() {
+            if (!card || card.type === 'cloze' || card.type === 'reverse') return;
+            const forCard = card;
+            const result = await ensureSentenceTimings(forCard, audioEl);
+            if (forCard === card) timings = result;
+        },
+
+        highlight,
+
+        /**
+         * Text and clip range of one sentence; start/end are null while the
+         * clip is not aligned yet (or the card has no clip).
+         */
+        segment(index) {
+            const timing = timings && timings[index];
+            return {
+                text: spans[index] ? spans[index].textContent : '',
+                start: timing ? timing.start : null,
+                end: timing ? timing.end : null
+            };
+        },
+
+        highlightAtChar(charIndex) {
+            let index = -1;
+            charStarts.forEach((start, i) => {
+                if (charIndex >= start) index = i;
+            });
+            highlight(index);
+        },
+
+        /** Whether a single sentence is repeating (the whole-clip loop should stay out). */
+        isLooping() {
+            return loopIndex !== null;
+        },
+
+        stop
+    };
+}
+
+const studySentences = createSentencePlayer({
+    audioEl: cardAudio,
+    questionEl: cardQuestionEl,
+    loopBtn: document.getElementById('sentence-loop-btn'),
+    toggleBtn: audioToggleBtn,
+    cancelTimers: () => {
+        clearTimeout(audioLoopTimeout);
+        audioLoopTimeout = null;
+    },
+    onSentenceClick: (index) => studyShadowing.takeSentenceClick(index)
+});
+
+const reviewSentences = createSentencePlayer({
+    audioEl: reviewAudio,
+    questionEl: reviewCardQuestionEl,
+    loopBtn: document.getElementById('review-sentence-loop-btn'),
+    toggleBtn: reviewAudioToggleBtn,
+    cancelTimers: () => {
+        clearTimeout(reviewAudioAdvanceTimeout);
+        reviewAudioAdvanceTimeout = null;
+    },
+    onSentenceClick: (index) => reviewShadowing.takeSentenceClick(index)
+});
+
+// ---- Shadowing ----
+// Listen, repeat out loud, then hear the original and yourself back-to-back.
+// The last few attempts per card are kept so progress can be heard over time.
+
+const recordingSupported = 'MediaRecorder' in window && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+
+/**
+ * Play part of a loaded clip and resolve when it is over (or was stopped).
+ *
+ * @param {HTMLAudioElement} audioEl
+ * @param {number|null} start - seconds; null plays the whole clip
+ * @param {number|null} end
+ * @returns {Promise<void>}
+ */
+function playClipSegment(audioEl, start, end) {
+    return new Promise(resolve => {
+        const finish = () => {
+            audioEl.removeEventListener('ended', finish);
+            audioEl.removeEventListener('pause', finish);
+            resolve();
+        };
+        const watch = () => {
+            if (audioEl.paused) return;
+            if (end !== null && audioEl.currentTime >= end) {
+                audioEl.pause(); // fires 'pause' → finish
+                return;
+            }
+            requestAnimationFrame(watch);
+        };
+        audioEl.currentTime = start || 0;
+        // Listen only once playing, so a pause queued by an earlier stop
+        // does not end this segment straight away.
+        audioEl.play().then(() => {
+            audioEl.addEventListener('ended', finish);
+            audioEl.addEventListener('pause', finish);
+            requestAnimationFrame(watch);
+        }, resolve);
+    });
+}
+
+// Speak text with the offline voice and resolve when it is done.
+function speakAndWait(text) {
+    if (!speechSupported || !text) return Promise.resolve();
+    return new Promise(resolve => speakOffline(text, { onend: resolve }));
+}
+
+// Play a Blob once and resolve when it ends or is stopped. Only one clip
+// plays at a time: starting another stops the previous one.
+function playBlob(blob) {
+    stopBlob();
+    return new Promise(resolve => {
+        const url = URL.createObjectURL(blob);
+        const audio = new Audio(url);
+        let finished = false;
+        const done = () => {
+            if (finished) return;
+            finished = true;
+            URL.revokeObjectURL(url);
+            if (playBlob.current === audio) playBlob.current = null;
+            resolve();
+        };
+        audio.onended = done;
+        audio.onerror = done;
+        audio.onpause = done;
+        audio.play().catch(done);
+        playBlob.current = audio;
+    });
+}
+
+// Stop the clip started by playBlob, settling its promise.
+function stopBlob() {
+    if (playBlob.current) playBlob.current.pause();
+}
+
+// ---- Pronunciation check ----
+
+/**
+ * @typedef WordDiffOp
+ * @property {'match'|'missing'|'extra'|'misread'} type
+ * @property {string} [expected] - the word as written on the card
+ * @property {string} [heard] - the word as transcribed (or typed, in dictation)
+ */
+
+// Words as written, each with a comparable form (lower case, no punctuation).
+function tokenizeWords(text) {
+    return text.split(/\s+/)
+        .map(word => ({
+            word,
+            norm: word.toLowerCase().replace(/[’‘]/g, "'").replace(/[^\p{L}\p{N}']/gu, '').replace(/^'+|'+$/g, '')
+        }))
+        .filter(t => t.norm);
+}
+
+/**
+ * Line two sequences up with the fewest edits (edit distance with
+ * substitutions) and list the steps, in order.
+ *
+ * @param {any[]} a - expected
+ * @param {any[]} b - actual
+ * @param {(x: any, y: any) => boolean} same
+ * @returns {{type: 'match'|'misread'|'missing'|'extra', i?: number, j?: number}[]}
+ */
+function alignSequences(a, b, same) {
+    const cost = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= b.length; j++) cost[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const sub = same(a[i - 1], b[j - 1]) ? 0 : 1;
+            cost[i][j] = Math.min(cost[i - 1][j - 1] + sub, cost[i - 1][j] + 1, cost[i][j - 1] + 1);
+        }
+    }
+    // Walk back from the end to recover the steps.
+    const steps = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0) {
+            const isSame = same(a[i - 1], b[j - 1]);
+            if (cost[i][j] === cost[i - 1][j - 1] + (isSame ? 0 : 1)) {
+                steps.push({ type: isSame ? 'match' : 'misread', i: i - 1, j: j - 1 });
+                i -= 1;
+                j -= 1;
+                continue;
+            }
+        }
+        if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+            steps.push({ type: 'missing', i: i - 1 });
+            i -= 1;
+        } else {
+            steps.push({ type: 'extra', j: j - 1 });
+            j -= 1;
+        }
+    }
+    return steps.reverse();
+}
+
+/**
+ * Compare what was said or typed with the expected text word by word and
+ * score it.
+ *
+ * @param {string} expectedText
+ * @param {string} actualText
+ * @returns {{ops: WordDiffOp[], accuracy: number}}
+ */
+function diffWords(expectedText, actualText) {
+    const expected = tokenizeWords(expectedText);
+    const actual = tokenizeWords(actualText);
+    const ops = alignSequences(expected, actual, (x, y) => x.norm === y.norm).map(step => ({
+        type: step.type,
+        expected: step.i !== undefined ? expected[step.i].word : undefined,
+        heard: step.j !== undefined ? actual[step.j].word : undefined
+    }));
+    const matches = ops.filter(op => op.type === 'match').length;
+    return { ops, accuracy: expected.length ? matches / expected.length : 0 };
+}
+
+/**
+ * Map a pronunciation score to a grade for the active rating mode.
+ *
+ * @param {number} accuracy - 0–1
+ * @returns {string} 'again' | 'hard' | 'good' | 'easy'
+ */
+function gradeFromAccuracy(accuracy) {
+    if (settings.ratingMode === 'two') return accuracy >= 0.85 ? 'good' : 'again';
+    if (accuracy >= 0.95) return 'easy';
+    if (accuracy >= 0.85) return 'good';
+    if (accuracy >= 0.6) return 'hard';
+    return 'again';
+}
+
+/**
+ * Render a diff as the card text with missing, misread and extra words
+ * marked. With `typed` set (dictation) the wrong letters of a misspelt word
+ * are marked too and the wording talks about typing instead of hearing.
+ *
+ * @param {HTMLElement} container
+ * @param {WordDiffOp[]} ops
+ * @param {{typed?: boolean}} [options]
+ */
+function renderWordDiff(container, ops, { typed = false } = {}) {
+    container.textContent = '';
+    ops.forEach((op, idx) => {
+        if (idx > 0) container.appendChild(document.createTextNode(' '));
+        const span = document.createElement('span');
+        span.className = `word-${op.type}`;
+        if (op.type === 'extra') {
+            span.textContent = `+${op.heard}`;
+            span.title = typed ? 'Typed but not in the text' : 'Said but not on the card';
+        } else if (op.type === 'misread' && typed) {
+            appendCharDiff(span, op.expected, op.heard);
+            span.title = `You typed "${op.heard}"`;
+        } else {
+            span.textContent = op.expected;
+            if (op.type === 'missing') span.title = typed ? 'Not typed' : 'Not heard';
+            if (op.type === 'misread') span.title = `Heard "${op.heard}"`;
+        }
+        container.appendChild(span);
+    });
+}
+
+// The expected word with the letters the learner got wrong wrapped in <mark>.
+function appendCharDiff(el, expected, actual) {
+    const a = [...expected];
+    const b = [...actual];
+    alignSequences(a, b, (x, y) => x.toLowerCase() === y.toLowerCase()).forEach(step => {
+        if (step.type === 'extra') return; // only the expected word is shown
+        const ch = a[step.i];
+        if (step.type === 'match' || !/[\p{L}\p{N}]/u.test(ch)) {
+            el.appendChild(document.createTextNode(ch));
+        } else {
+            const mark = document.createElement('mark');
+            mark.textContent = ch;
+            el.appendChild(mark);
+        }
+    });
+}
+
+/**
+ * Shadowing controls for one view. With shadowing on, clicking a sentence
+ * (or "Shadow Whole Clip") plays the original, records the learner for a
+ * little longer than the original took, plays both back-to-back and saves
+ * the attempt.
+ *
+ * @param {object} parts
+ * @param {string} parts.prefix - id prefix of the view's elements ('' or 'review-')
+ * @param {HTMLAudioElement} parts.audioEl
+ * @param {() => Flashcard|null} parts.getCard
+ * @param {() => object} parts.getSentences - the view's sentence player
+ * @param {Function} parts.stopView - stops the view's own playback and loops
+ * @param {(grade: string) => void} [parts.rate] - rates the shown card; enables
+ *   the rating suggested by the pronunciation check
+ */
+function createShadowingPanel({ prefix, audioEl, getCard, getSentences, stopView, rate }) {
+    const toggleBtn = document.getElementById(`${prefix}shadow-toggle-btn`);
+    const panel = document.getElementById(`${prefix}shadow-panel`);
+    const wholeBtn = document.getElementById(`${prefix}shadow-all-btn`);
+    const doneBtn = document.getElementById(`${prefix}shadow-done-btn`);
+    const statusEl = document.getElementById(`${prefix}shadow-status`);
+    const attemptsEl = document.getElementById(`${prefix}shadow-attempts`);
+    const checkEl = document.getElementById(`${prefix}shadow-check`);
+
+    let on = false;
+    let available = true; // false while a derived card's answer is hidden
+    let runToken = 0;
+    let recorder = null;
+
+    // Shadowing plays the English, which would give away the answer of a
+    // cloze or reverse card, so the controls wait for the reveal.
+    function setAvailable(value) {
+        available = value;
+        if (!available) abort();
+        if (!recordingSupported) return;
+        toggleBtn.classList.toggle('hidden', !available);
+        panel.classList.toggle('hidden', !(on && available));
+    }
+
+    function setStatus(text) {
+        statusEl.textContent = text;
+    }
+
+    // Play the original part: a range of the clip, or the offline voice.
+    async function playOriginal(card, segment) {
+        if (cardHasAudio(card)) {
+            await playClipSegment(audioEl, segment.start, segment.end);
+        } else {
+            await speakAndWait(segment.text);
+        }
+    }
+
+    /**
+     * Record from the microphone until `maxMs` passes or Done is clicked.
+     *
+     * @returns {Promise<Blob|null>} null when aborted
+     */
+    async function record(maxMs, token) {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (token !== runToken) {
+            stream.getTracks().forEach(t => t.stop());
+            return null;
+        }
+        const chunks = [];
+        recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        doneBtn.classList.remove('hidden');
+        const timer = setTimeout(() => recorder && recorder.state !== 'inactive' && recorder.stop(), maxMs);
+        await stopped;
+        clearTimeout(timer);
+        stream.getTracks().forEach(t => t.stop());
+        doneBtn.classList.add('hidden');
+        const type = recorder.mimeType || 'audio/webm';
+        recorder = null;
+        if (token !== runToken || chunks.length === 0) return null;
+        return new Blob(chunks, { type });
+    }
+
+    async function run(segment) {
+        const card = getCard();
+        if (!card) return;
+        stopView();
+        const token = ++runToken;
+        wholeBtn.disabled = true;
+        try {
+            const startedAt = Date.now();
+            setStatus('Listen…');
+            await playOriginal(card, segment);
+            if (token !== runToken) return;
+            // Give a bit more time than the original took, at least 3 s.
+            const originalMs = Date.now() - startedAt;
+            setStatus('🎙 Your turn – repeat it now.');
+            const blob = await record(Math.max(3000, originalMs * 1.5 + 1500), token);
+            if (!blob) return;
+            setStatus('Original…');
+            await playOriginal(card, segment);
+            if (token !== runToken) return;
+            setStatus('…and you.');
+            await playBlob(blob);
+            if (token !== runToken) return;
+            await addRecording({
+                cardId: card.id,
+                timestamp: Date.now(),
+                blob,
+                text: segment.text,
+                start: segment.start,
+                end: segment.end
+            });
+            setStatus('Saved. Check it, or click a sentence to go again.');
+            renderAttempts(card);
+        } catch (err) {
+            console.error('Shadowing failed', err);
+            setStatus(err.name === 'NotAllowedError'
+                ? 'Microphone access was blocked. Allow it in the browser to record.'
+                : 'Recording failed: ' + err.message);
+        } finally {
+            if (token === runToken) wholeBtn.disabled = false;
+        }
+    }
+
+    function abort() {
+        runToken += 1;
+        checkEl.classList.add('hidden');
+        if (recorder && recorder.state !== 'inactive') recorder.stop();
+        stopBlob();
+        doneBtn.classList.add('hidden');
+        wholeBtn.disabled = false;
+    }
+
+    async function renderAttempts(card) {
+        const attempts = await getRecordings(card.id);
+        if (getCard() !== card) return;
+        attemptsEl.innerHTML = '';
+        if (attempts.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'note';
+            li.textContent = 'No attempts yet.';
+            attemptsEl.appendChild(li);
+            return;
+        }
+        attempts.forEach(attempt => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            const when = new Date(attempt.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+            const what = attempt.start === null ? 'whole clip' : `"${attempt.text.slice(0, 40)}${attempt.text.length > 40 ? '…' : ''}"`;
+            label.textContent = `${when} – ${what}`;
+            const compareBtn = document.createElement('button');
+            compareBtn.className = 'secondary-btn';
+            compareBtn.textContent = '▶ Compare';
+            compareBtn.title = 'Play the original, then this attempt';
+            compareBtn.addEventListener('click', async () => {
+                stopView();
+                const token = ++runToken;
+                await playOriginal(card, attempt);
+                if (token === runToken) await playBlob(attempt.blob);
+            });
+            const mineBtn = document.createElement('button');
+            mineBtn.className = 'secondary-btn';
+            mineBtn.textContent = '▶ Mine';
+            mineBtn.addEventListener('click', () => {
+                stopView();
+                runToken += 1;
+                playBlob(attempt.blob);
+            });
+            const checkBtn = document.createElement('button');
+            checkBtn.className = 'secondary-btn';
+            checkBtn.textContent = typeof attempt.accuracy === 'number'
+                ? `✓ ${Math.round(attempt.accuracy * 100)}%`
+                : '✓ Check';
+            checkBtn.title = 'Transcribe this attempt and compare it with the text';
+            checkBtn.addEventListener('click', () => checkAttempt(card, attempt, checkBtn));
+            li.append(label, compareBtn, mineBtn, checkBtn);
+            attemptsEl.appendChild(li);
+        });
+    }
+
+    /**
+     * Transcribe an attempt (once – the transcript is kept with the
+     * recording) and show the word-by-word comparison.
+     */
+    async function checkAttempt(card, attempt, btn) {
+        if (typeof attempt.transcript !== 'string') {
+            const apiKey = getApiKey();
+            if (apiKey === null) return;
+            btn.disabled = true;
+            btn.textContent = 'Checking…';
+            try {
+                attempt.transcript = await aiTranscribe(attempt.blob, apiKey);
+            } catch (err) {
+                console.error('Transcription failed', err);
+                setStatus('Could not check pronunciation: ' + err.message);
+                btn.disabled = false;
+                btn.textContent = '✓ Check';
+                return;
+            }
+            attempt.accuracy = diffWords(attempt.text, attempt.transcript).accuracy;
+            await putRecording(attempt);
+            btn.disabled = false;
+            btn.textContent = `✓ ${Math.round(attempt.accuracy * 100)}%`;
+        }
+        if (getCard() !== card) return;
+        showCheck(card, attempt);
+    }
+
+    function showCheck(card, attempt) {
+        const { ops, accuracy } = diffWords(attempt.text, attempt.transcript);
+        checkEl.textContent = '';
+        const score = document.createElement('p');
+        score.className = 'pronunciation-score';
+        score.textContent = `Accuracy: ${Math.round(accuracy * 100)}%`;
+        const words = document.createElement('p');
+        words.className = 'pronunciation-diff';
+        renderWordDiff(words, ops);
+        const heard = document.createElement('p');
+        heard.className = 'note';
+        heard.textContent = `Heard: "${attempt.transcript || '…nothing'}"`;
+        checkEl.append(score, words, heard);
+        if (rate && settings.pronunciationRating) {
+            const grade = gradeFromAccuracy(accuracy);
+            const rateBtn = document.createElement('button');
+            rateBtn.className = 'primary-btn';
+            rateBtn.textContent = `Rate ${grade[0].toUpperCase()}${grade.slice(1)} from this score`;
+            rateBtn.addEventListener('click', () => {
+                if (getCard() === card) rate(grade);
+            });
+            checkEl.appendChild(rateBtn);
+        }
+        checkEl.classList.remove('hidden');
+    }
+
+    if (!recordingSupported) {
+        toggleBtn.remove();
+    } else {
+        toggleBtn.addEventListener('click', () => {
+            on = !on;
+            toggleBtn.classList.toggle('shadow-on', on);
+            panel.classList.toggle('hidden', !on);
+            if (!on) abort();
+            const card = getCard();
+            if (on && card) {
+                setStatus('Click a sentence to shadow it, or shadow the whole clip.');
+                renderAttempts(card);
+            }
+        });
+        wholeBtn.addEventListener('click', () => {
+            const card = getCard();
+            if (card) run({ text: card.question, start: null, end: null });
+        });
+        doneBtn.addEventListener('click', () => {
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+        });
+    }
+
+    return {
+        /** Sentence clicks record instead of just playing while shadowing is on. */
+        takeSentenceClick(index) {
+            if (!on || !available) return false;
+            const card = getCard();
+            const segment = getSentences().segment(index);
+            if (card && cardHasAudio(card) && segment.start === null) {
+                setStatus('Still lining up the sentences – try again in a moment.');
+                return true;
+            }
+            run(segment);
+            return true;
+        },
+
+        /** Refresh for a newly shown card. */
+        show(card) {
+            abort();
+            setAvailable(!isDerivedCard(card));
+            if (!on) return;
+            setStatus('Click a sentence to shadow it, or shadow the whole clip.');
+            renderAttempts(card);
+        },
+
+        /** The answer is showing: shadowing a derived card is fine now. */
+        reveal() {
+            setAvailable(true);
+        },
+
+        isOn() {
+            return on;
+        },
+
+        abort
+    };
+}
+
+const studyShadowing = createShadowingPanel({
+    prefix: '',
+    audioEl: cardAudio,
+    getCard: () => currentCard,
+    getSentences: () => studySentences,
+    stopView: () => stopAudio(),
+    rate: (grade) => rateCurrentCard(grade)
+});
+
+const reviewShadowing = createShadowingPanel({
+    prefix: 'review-',
+    audioEl: reviewAudio,
+    getCard: () => currentReviewCard,
+    getSentences: () => reviewSentences,
+    stopView: () => stopReviewAudio()
+});
+
+let reviewPlaybackOrder = [];
+let reviewPlaybackIndex = -1;
+
+let editingCardId = null; // if not null, we're editing existing card
+
+function showSavedStatus(msg) {
+    if (!saveStatusEl) return;
+    saveStatusEl.textContent = msg;
+    saveStatusEl.classList.remove('hidden');
+    clearTimeout(showSavedStatus._timer);
+    showSavedStatus._timer = setTimeout(() => saveStatusEl.classList.add('hidden'), 3000);
+}
+
+// ---- Card list rendering and CRUD ----
+function renderCardList() {
+    if (!cardList) return;
+    cardList.innerHTML = '';
+    if (cards.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No cards yet.';
+        cardList.appendChild(li);
+        return;
+    }
+
+    // sort cards by days until next review (ascending)
+    const sortedCards = [...cards].sort((a, b) => a.nextReview - b.nextReview);
+
+    sortedCards.forEach((card) => {
+        const li = document.createElement('li');
+
+        const textSpan = document.createElement('span');
+        if (card.type === 'cloze') {
+            const paragraph = card.question.length > 40 ? card.question.slice(0, 40) + '…' : card.question;
+            textSpan.textContent = `Cloze “${card.cloze}” · ${paragraph}`;
+            li.classList.add('cloze-item');
+        } else if (card.type === 'reverse') {
+            const prompt = reversePrompt(card);
+            const chinese = prompt.length > 40 ? prompt.slice(0, 40) + '…' : prompt;
+            textSpan.textContent = `⇄ ${chinese} → English`;
+            li.classList.add('reverse-item');
+        } else if (card.type === 'word') {
+            const source = cards.find(c => c.id === card.parentId);
+            textSpan.textContent = source ? `${card.question} · from “${source.question.slice(0, 30)}…”` : card.question;
+            li.classList.add('word-item');
+        } else {
+            textSpan.textContent = card.question.length > 60 ? card.question.slice(0, 60) + '…' : card.question;
+        }
+        li.appendChild(textSpan);
+
+        const btnContainer = document.createElement('span');
+
+        const deckEl = document.createElement('span');
+        deckEl.textContent = card.tags.length ? `${card.deck} · ${card.tags.join(', ')}` : card.deck;
+        deckEl.classList.add('deck-label');
+        btnContainer.appendChild(deckEl);
+
+        // days until due
+        const millisInDay = 24 * 60 * 60 * 1000;
+        const daysLeft = Math.max(0, Math.ceil((card.nextReview - Date.now()) / millisInDay));
+        const daysEl = document.createElement('span');
+        daysEl.textContent = `${daysLeft}d`;
+        daysEl.classList.add('days-left');
+        btnContainer.appendChild(daysEl);
+
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Edit';
+        editBtn.classList.add('edit-btn');
+        editBtn.addEventListener('click', () => beginEdit(card.id));
+        // play audio button
+        if (card.hasAudio) {
+            const playBtn = document.createElement('button');
+            playBtn.textContent = 'Play';
+            playBtn.classList.add('play-btn');
+            playBtn.addEventListener('click', async () => {
+                const blob = await getAudio(card.id);
+                if (!blob) return;
+                const url = URL.createObjectURL(blob);
+                const audio = new Audio(url);
+                audio.onended = () => URL.revokeObjectURL(url);
+                audio.play();
+            });
+            btnContainer.appendChild(playBtn);
+        } else if (speechSupported && !isDerivedCard(card)) {
+            const speakBtn = document.createElement('button');
+            speakBtn.textContent = 'Speak';
+            speakBtn.title = 'Read with the offline voice';
+            speakBtn.classList.add('play-btn');
+            speakBtn.addEventListener('click', () => speakOffline(card.question));
+            btnContainer.appendChild(speakBtn);
+        }
+
+
+        const delBtn = document.createElement('button');
+        delBtn.textContent = 'Delete';
+        delBtn.classList.add('delete-btn');
+        delBtn.addEventListener('click', () => deleteCard(card.id));
+
+        // Cloze cards are edited through their paragraph's Cloze dialog;
+        // cloze and vocabulary tools only make sense on paragraph cards.
+        if (!card.type) {
+            const wordsBtn = document.createElement('button');
+            wordsBtn.textContent = 'Words';
+            wordsBtn.title = 'Extract vocabulary into word cards';
+            wordsBtn.classList.add('words-btn');
+            wordsBtn.addEventListener('click', () => openVocabDialog(card.id));
+            btnContainer.appendChild(wordsBtn);
+
+            const clozeCount = getClozeChildren(card.id).length;
+            const clozeBtn = document.createElement('button');
+            clozeBtn.textContent = clozeCount ? `Cloze (${clozeCount})` : 'Cloze';
+            clozeBtn.title = 'Blank out words or phrases to make cloze cards';
+            clozeBtn.classList.add('cloze-btn');
+            clozeBtn.addEventListener('click', () => openClozeDialog(card.id));
+            btnContainer.appendChild(clozeBtn);
+        }
+        // Reverse cards come and go with their card's setting or deck.
+        if (!isDerivedCard(card)) btnContainer.appendChild(editBtn);
+        if (card.type !== 'reverse') btnContainer.appendChild(delBtn);
+        li.appendChild(btnContainer);
+
+        cardList.appendChild(li);
+    });
+}
+// Cloze and reverse cards repeat their source card's audio, so the Listen
+// view skips them.
+function getCardsInReviewOrder() {
+    return cards.filter(c => !isDerivedCard(c) && cardMatchesFilter(c)).sort((a, b) => a.order - b.order);
 }
 
 function renderReviewList() {
     if (!reviewList) return;
     reviewList.innerHTML = "";
-    if (cards.length === 0) {
+    const sorted = getCardsInReviewOrder();
+    if (sorted.length === 0) {
         const li = document.createElement("li");
-        li.textContent = "No cards yet.";
+        li.textContent = cards.length === 0 ? "No cards yet." : "No cards match this deck / tag.";
         reviewList.appendChild(li);
         reviewPlaybackOrder = [];
         reviewPlaybackIndex = -1;
         return;
     }
-    const sorted = getCardsInReviewOrder();
-    sorted.forEach(card => {
-        const li = document.createElement("li");
-        const textSpan = document.createElement("span");
-        textSpan.textContent = card.question.length > 60 ? card.question.slice(0,60) + "…" : card.question;
-        li.appendChild(textSpan);
-        li.addEventListener("click", () => openReviewCard(card.id));
+    sorted.forEach(card => {
+        const li = document.createElement("li");
+        const textSpan = document.createElement("span");
+        textSpan.textContent = card.question.length > 60 ? card.question.slice(0,60) + "…" : card.question;
+        li.appendChild(textSpan);
+        li.addEventListener("click", () => openReviewCard(card.id));
+
+        li.draggable = true;
+        li.dataset.id = card.id;
+        li.addEventListener('dragstart', () => {
+            dragSrcId = card.id;
+            li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => {
+            dragSrcId = null;
+            li.classList.remove('dragging');
+        });
+
+        const pinBtn = document.createElement("button");
+        pinBtn.className = "pin-btn" + (card.pinned ? " pinned" : "");
+        pinBtn.textContent = card.pinned ? "📌" : "📍";
+        pinBtn.title = card.pinned ? "Unpin" : "Pin";
+        pinBtn.addEventListener("click", (e) => {
+            e.stopPropagation();
+            pushUndo(card.pinned ? 'Unpinned card' : 'Pinned card', { before: snapshotCards(cards) });
+            card.pinned = !card.pinned;
+            if (card.pinned) {
+                const minPinned = Math.min(...cards.filter(c => c.pinned && c.id !== card.id).map(c => c.order), Infinity);
+                card.order = isFinite(minPinned) ? minPinned - 1 : 0;
+            } else {
+                const maxOrder = Math.max(...cards.map(c => c.order));
+                card.order = maxOrder + 1;
+            }
+            putCards([card, ...normalizeOrders()]);
+            renderReviewList();
+        });
+        li.appendChild(pinBtn);
+
+        reviewList.appendChild(li);
+    });
+
+    if (!reviewList._dragBound) {
+        reviewList.addEventListener('dragover', (e) => e.preventDefault());
+        reviewList.addEventListener('drop', handleReviewDrop);
+        reviewList._dragBound = true;
+    }
+
+    reviewPlaybackOrder = sorted.map(card => card.id);
+    if (currentReviewCard) {
+        reviewPlaybackIndex = reviewPlaybackOrder.indexOf(currentReviewCard.id);
+    }
+}
+
+function handleReviewDrop(e) {
+    e.preventDefault();
+    if (!dragSrcId) return;
+    const targetLi = e.target.closest('li');
+    const dragged = cards.find(c => c.id === dragSrcId);
+    if (!dragged) return;
+    pushUndo('Reordered cards', { before: snapshotCards(cards) });
+
+    const pinned = cards.filter(c => c.pinned).sort((a, b) => a.order - b.order);
+    const unpinned = cards.filter(c => !c.pinned).sort((a, b) => a.order - b.order);
+
+    if (targetLi) {
+        const targetId = targetLi.dataset.id;
+        const target = cards.find(c => c.id === targetId);
+        if (target) {
+            if (dragged.pinned !== target.pinned) {
+                if (dragged.pinned) {
+                    const fromIndex = pinned.findIndex(c => c.id === dragSrcId);
+                    pinned.splice(fromIndex, 1);
+                    pinned.push(dragged);
+                } else {
+                    const fromIndex = unpinned.findIndex(c => c.id === dragSrcId);
+                    unpinned.splice(fromIndex, 1);
+                    unpinned.unshift(dragged);
+                }
+            } else {
+                const group = dragged.pinned ? pinned : unpinned;
+                const fromIndex = group.findIndex(c => c.id === dragSrcId);
+                const toIndex = group.findIndex(c => c.id === targetId);
+                group.splice(fromIndex, 1);
+                group.splice(toIndex, 0, dragged);
+            }
+        }
+    } else {
+        if (dragged.pinned) {
+            const fromIndex = pinned.findIndex(c => c.id === dragSrcId);
+            pinned.splice(fromIndex, 1);
+            pinned.push(dragged);
+        } else {
+            const fromIndex = unpinned.findIndex(c => c.id === dragSrcId);
+            unpinned.splice(fromIndex, 1);
+            unpinned.push(dragged);
+        }
+    }
+
+    cards = [...pinned, ...unpinned];
+    putCards(normalizeOrders());
+    renderReviewList();
+}
+
+
+function beginEdit(id) {
+    const card = cards.find((c) => c.id === id);
+    if (!card) return;
+    editingCardId = id;
+    questionInput.value = card.question;
+    answerInput.value = card.answer;
+    if (deckInput) deckInput.value = card.deck;
+    if (tagsInput) tagsInput.value = card.tags.join(', ');
+    if (reverseInput) reverseInput.checked = !!card.reverse;
+    if (audioInput) audioInput.value = '';
+
+    saveCardBtn.textContent = 'Update Card';
+    cancelEditBtn.classList.remove('hidden');
+
+    // Switch to Add section
+    showSection(addSection);
+}
+
+function deleteCard(id) {
+    const card = cards.find((c) => c.id === id);
+    if (!card) return;
+    // No confirmation dialog – the undo toast covers accidental taps. The
+    // clip is read before the record is deleted so undo can put it back.
+    const audio = card.hasAudio ? getAudio(id) : Promise.resolve(null);
+    // A card's cloze and reverse cards go with it (and come back with undo).
+    const derived = getDerivedCards(id);
+    pushUndo('Deleted card', {
+        before: snapshotCards([card, ...derived]),
+        audio: audio.then(blob => ({ [id]: blob }))
+    });
+    cards = cards.filter((c) => c.id !== id && !derived.includes(c));
+    audio.then(() => {
+        deleteCardRecord(id);
+        derived.forEach(c => deleteCardRecord(c.id));
+    });
+    renderDeckControls();
+    renderCardList();
+    renderReviewList();
+    updateDueCount();
+}
+
+if (cancelEditBtn) {
+    cancelEditBtn.addEventListener('click', () => {
+        editingCardId = null;
+        questionInput.value = '';
+        answerInput.value = '';
+        if (tagsInput) tagsInput.value = '';
+        if (reverseInput) reverseInput.checked = false;
+        if (audioInput) audioInput.value = '';
+        saveCardBtn.textContent = 'Save Card';
+        cancelEditBtn.classList.add('hidden');
+    });
+}
+
+// All card data will reside here after asynchronous initialisation.
+let cards = [];
+
+// Card currently displayed during study mode
+let currentCard = null;
+let currentCardShownAt = 0; // timestamp used for the review log's timeSpent
+let currentReviewCard = null;
+let dragSrcId = null;
+
+// Kick-off once everything is parsed. By placing this at the end of the file
+// we make sure all functions & event-listeners are already defined.
+(async function init() {
+    cards = await loadCards();
+    const changed = new Set([...normalizeOrders(), ...migrateCardsToScheduler(getScheduler())]);
+    putCards([...changed]);
+
+    renderDeckControls();
+    renderCardList();
+    renderReviewList();
+
+    renderReviewList();
+    setFastPlayback(fastPlayback); // sync the speed buttons with the saved default
+    restoreBatchQueue();
+
+    // Default landing view: Study section
+    startStudy();
+    showSection(studySection);
+})();
+
+// ---- Navigation ----
+
+// Show one section and hide the others.
+function showSection(section) {
+    [addSection, studySection, reviewSection, statsSection, settingsSection].forEach(el => {
+        el.classList.toggle('hidden', el !== section);
+    });
+}
+
+navAdd.addEventListener('click', () => {
+    stopAudio();
+    showSection(addSection);
+});
+
+navStudy.addEventListener('click', () => {
+    startStudy();
+    showSection(studySection);
+});
+
+navReview.addEventListener("click", () => {
+    stopAudio();
+    stopReviewAudio();
+    showSection(reviewSection);
+    renderReviewList();
+});
+
+navStats.addEventListener('click', () => {
+    stopAudio();
+    stopReviewAudio();
+    showSection(statsSection);
+    renderStats();
+});
+
+navSettings.addEventListener('click', () => {
+    stopAudio();
+    stopReviewAudio();
+    showSection(settingsSection);
+    renderApiKeyStatus();
+});
+
+navExport.addEventListener('click', () => openExportDialog());
+
+navImport.addEventListener('click', () => importFileInput.click());
+
+// ---- Export ----
+//
+// Exports are versioned bundles: a header describing who wrote the file and
+// the card schema it uses, followed by the cards. The ZIP flavour stores every
+// clip as its own mp3 next to `cards.json` instead of inlining base64, so a
+// large deck no longer has to fit in one string.
+
+const APP_VERSION = '1.1.0';
+const EXPORT_FORMAT = 'flashcards-export';
+const EXPORT_FORMAT_VERSION = 1;
+const BUNDLE_MANIFEST_NAME = 'cards.json';
+
+/**
+ * @typedef ExportBundle
+ * @property {string} format - always 'flashcards-export'
+ * @property {number} formatVersion - layout of this file
+ * @property {string} appVersion - app that wrote it
+ * @property {number} schemaVersion - card schema (the IndexedDB version)
+ * @property {string} exportedAt - ISO timestamp
+ * @property {boolean} includesAudio
+ * @property {{ name: string, cardCount: number }[]} decks
+ * @property {object[]} cards - cards without `hasAudio`; `audioFile` names the clip in a ZIP
+ */
+
+/**
+ * Build the bundle header and card list.
+ *
+ * @param {Flashcard[]} list
+ * @param {boolean} withAudio - whether clips will be shipped alongside
+ * @returns {ExportBundle}
+ */
+function buildExportBundle(list, withAudio) {
+    const decks = [...new Set(list.map(c => c.deck))].sort((a, b) => a.localeCompare(b));
+    return {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        appVersion: APP_VERSION,
+        schemaVersion: DB_VERSION,
+        exportedAt: new Date().toISOString(),
+        includesAudio: withAudio,
+        decks: decks.map(name => ({ name, cardCount: list.filter(c => c.deck === name).length })),
+        cards: list.map(card => {
+            const { hasAudio, ...rest } = card;
+            return withAudio && hasAudio ? { ...rest, audioFile: `audio/${card.id}.mp3` } : rest;
+        })
+    };
+}
+
+/**
+ * Validate a bundle header and return its raw card entries.
+ *
+ * @param {any} bundle
+ * @returns {any[]}
+ */
+function parseExportBundle(bundle) {
+    if (!bundle || bundle.format !== EXPORT_FORMAT || !Array.isArray(bundle.cards)) {
+        throw new Error('Not a flashcards export file');
+    }
+    if (bundle.formatVersion > EXPORT_FORMAT_VERSION) {
+        throw new Error(`This file was made by a newer version of the app (${bundle.appVersion}). Please update first.`);
+    }
+    return bundle.cards;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const dl = document.createElement('a');
+    dl.setAttribute('href', url);
+    dl.setAttribute('download', filename);
+    dl.click();
+    // Give the browser a moment to start the download before revoking.
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Export `list` as a ZIP with audio, as text-only JSON, or as CSV / TSV.
+ *
+ * @param {Flashcard[]} list
+ * @param {'zip'|'json'|'csv'|'tsv'} format
+ */
+async function exportCards(list, format) {
+    const stamp = dayKey(Date.now());
+    if (format === 'csv' || format === 'tsv') {
+        await exportDelimited(list, format);
+        return;
+    }
+    if (format === 'json') {
+        const bundle = buildExportBundle(list, false);
+        downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), `flashcards-${stamp}.json`);
+        return;
+    }
+
+    const bundle = buildExportBundle(list, true);
+    const files = [];
+    for (const entry of bundle.cards) {
+        if (!entry.audioFile) continue;
+        const blob = await getAudio(entry.id);
+        if (blob) {
+            files.push({ name: entry.audioFile, data: blob });
+        } else {
+            delete entry.audioFile;
+        }
+    }
+    files.unshift({ name: BUNDLE_MANIFEST_NAME, data: new Blob([JSON.stringify(bundle, null, 2)]) });
+    downloadBlob(await createZip(files), `flashcards-${stamp}.zip`);
+}
+
+function openExportDialog() {
+    fillSelect(exportDeckSelect, 'All decks', getDeckNames(), settings.deckFilter);
+    exportDialog.showModal();
+}
+
+if (exportDialog) {
+    exportCancelBtn.addEventListener('click', () => exportDialog.close());
+    exportConfirmBtn.addEventListener('click', async () => {
+        const deck = exportDeckSelect.value;
+        const list = deck ? cards.filter(c => c.deck === deck) : cards;
+        const checked = exportDialog.querySelector('input[name="export-format"]:checked');
+        exportConfirmBtn.disabled = true;
+        try {
+            await exportCards(list, checked ? checked.value : 'zip');
+            exportDialog.close();
+        } catch (err) {
+            console.error('Export failed', err);
+            alert('Export failed: ' + err.message);
+        } finally {
+            exportConfirmBtn.disabled = false;
+        }
+    });
+}
+
+// ---- ZIP bundles ----
+//
+// Minimal ZIP support for export bundles: writing uses the "stored" method
+// (mp3 does not compress further anyway); reading also accepts deflated
+// entries where the browser offers DecompressionStream.
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Pack files into an uncompressed ZIP archive.
+ *
+ * @param {{ name: string, data: Blob }[]} files
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = new Uint8Array(await file.data.arrayBuffer());
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);        // version needed
+        local.setUint16(6, 0x0800, true);    // UTF-8 names
+        local.setUint16(8, 0, true);         // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local.buffer, name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);        // version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+function isZip(buffer) {
+    return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === 0x04034b50;
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP files');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every file of a ZIP archive.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Blob>>}
+ */
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end-of-central-directory record sits in the last 22–65557 bytes.
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Damaged ZIP file');
+
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    const files = new Map();
+
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Damaged ZIP file');
+        const method = view.getUint16(ptr + 10, true);
+        const size = view.getUint32(ptr + 20, true);
+        const nameLength = view.getUint16(ptr + 28, true);
+        const extraLength = view.getUint16(ptr + 30, true);
+        const commentLength = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLength));
+        ptr += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // directory entry
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = new Uint8Array(buffer, dataStart, size);
+        if (method === 0) {
+            files.set(name, new Blob([raw]));
+        } else if (method === 8) {
+            files.set(name, new Blob([await inflateRaw(raw)]));
+        } else {
+            throw new Error(`Unsupported ZIP compression for ${name}`);
+        }
+    }
+    return files;
+}
+
+// ---- Skip Day ----
+if (skipDayBtn) {
+    skipDayBtn.addEventListener('click', () => {
+        skipOneDay();
+    });
+}
+
+function skipOneDay() {
+    const millisInDay = 24 * 60 * 60 * 1000;
+    pushUndo('Skipped a day', { before: snapshotCards(cards), session: structuredClone(session) });
+    cards.forEach((card) => {
+        card.nextReview -= millisInDay;
+    });
+    putCards(cards);
+    invalidateStudyQueue();
+    updateDueCount();
+    showNextCard();
+}
+
+// ---- Import ----
+//
+// Importing never touches the deck until the user has seen a preview: each
+// incoming card is validated, compared with the local card of the same id,
+// and only then applied in the chosen mode.
+
+const SCHEDULING_FIELDS = ['interval', 'repetitions', 'easeFactor', 'nextReview', 'scheduler', 'stability', 'difficulty', 'lastReview'];
+
+/**
+ * @typedef ImportPlan
+ * @property {Flashcard[]} fresh - ids not in the local deck
+ * @property {Flashcard[]} updated - same id, changed, no local progress at stake
+ * @property {{ local: Flashcard, incoming: Flashcard }[]} conflicts - both sides have diverging progress
+ * @property {Flashcard[]} unchanged
+ * @property {string[]} invalid - one message per rejected entry
+ * @property {Map<string, Blob>} audio - decoded clips keyed by incoming id
+ */
+
+let pendingImport = null;
+
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check one raw entry from an import file.
+ *
+ * @returns {string|null} why the entry is rejected, or null if it is usable
+ */
+function validateImportedCard(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return 'not a card object';
+    if (typeof raw.question !== 'string' || !raw.question.trim()) return 'missing English text';
+    if (typeof raw.answer !== 'string' || !raw.answer.trim()) return 'missing translation';
+    if (raw.id !== undefined && (typeof raw.id !== 'string' || !raw.id)) return 'invalid id';
+    for (const field of ['interval', 'repetitions', 'easeFactor', 'nextReview']) {
+        if (raw[field] !== undefined && !isNonNegativeNumber(raw[field])) return `invalid ${field}`;
+    }
+    if (raw.tags !== undefined && !(Array.isArray(raw.tags) && raw.tags.every(t => typeof t === 'string'))) return 'invalid tags';
+    if (raw.audioData != null && !(typeof raw.audioData === 'string' && raw.audioData.startsWith('data:'))) return 'invalid audio';
+    if (raw.audioFile && !(raw.audioBlob instanceof Blob)) return `audio file ${raw.audioFile} missing from bundle`;
+    return null;
+}
+
+/**
+ * Fill in every field a stored card needs; progress fields present in the
+ * file are kept as they are.
+ */
+function normalizeImportedCard(raw, idx) {
+    // Audio travels separately (see `planImport`), never inside the card.
+    const { audioData, audioFile, audioBlob, ...rest } = raw;
+    return {
+        ...rest,
+        id: raw.id || generateId(),
+        question: raw.question.trim(),
+        answer: raw.answer.trim(),
+        hasAudio: false, // set once the clip (if any) is stored
+        deck: typeof raw.deck === 'string' && raw.deck ? raw.deck : DEFAULT_DECK,
+        tags: Array.isArray(raw.tags) ? parseTags(raw.tags.join(',')) : [],
+        interval: isNonNegativeNumber(raw.interval) ? raw.interval : 0,
+        repetitions: isNonNegativeNumber(raw.repetitions) ? raw.repetitions : 0,
+        easeFactor: isNonNegativeNumber(raw.easeFactor) ? raw.easeFactor : SM2_INITIAL_EASE,
+        nextReview: isNonNegativeNumber(raw.nextReview) ? raw.nextReview : Date.now(),
+        pinned: !!raw.pinned,
+        order: typeof raw.order === 'number' ? raw.order : idx
+    };
+}
+
+function sameContent(a, b) {
+    return a.question === b.question && a.answer === b.answer && a.deck === b.deck &&
+        a.tags.join(',') === b.tags.join(',');
+}
+
+function sameProgress(a, b) {
+    return SCHEDULING_FIELDS.every(field => a[field] === b[field]);
+}
+
+// Cards studied before `lastReview` existed only show it in their schedule.
+function wasStudied(card) {
+    return !!card.lastReview || card.repetitions > 0 || card.interval > 0;
+}
+
+/**
+ * Validate and classify a parsed import file against the current deck.
+ *
+ * @param {any[]} entries
+ * @returns {ImportPlan}
+ */
+function planImport(entries) {
+    const plan = { fresh: [], updated: [], conflicts: [], unchanged: [], invalid: [], audio: new Map() };
+    const seen = new Set();
+    entries.forEach((raw, idx) => {
+        const error = validateImportedCard(raw);
+        if (error) {
+            plan.invalid.push(`#${idx + 1}: ${error}`);
+            return;
+        }
+        const incoming = normalizeImportedCard(raw, idx);
+        if (seen.has(incoming.id)) {
+            plan.invalid.push(`#${idx + 1}: duplicate id`);
+            return;
+        }
+        let audio = raw.audioBlob || null;
+        if (!audio && raw.audioData) {
+            try {
+                audio = dataURLToBlob(raw.audioData);
+            } catch (err) {
+                // Bad base64 only rules out this entry, not the whole file.
+                plan.invalid.push(`#${idx + 1}: invalid audio`);
+                return;
+            }
+        }
+        seen.add(incoming.id);
+        if (audio) plan.audio.set(incoming.id, audio);
+
+        const local = cards.find(c => c.id === incoming.id);
+        if (!local) {
+            plan.fresh.push(incoming);
+        } else if (sameContent(local, incoming) && sameProgress(local, incoming) && !plan.audio.has(incoming.id)) {
+            plan.unchanged.push(incoming);
+        } else if (wasStudied(local) && !sameProgress(local, incoming)) {
+            // The local card has been studied and the file disagrees about it.
+            plan.conflicts.push({ local, incoming });
+        } else {
+            plan.updated.push(incoming);
+        }
+    });
+    return plan;
+}
+
+/**
+ * Resolve one conflict.
+ *  - 'keep-local': ignore the incoming card
+ *  - 'take-incoming': overwrite text and progress with the file
+ *  - 'merge': text from the file, progress from whichever side was reviewed last
+ */
+function resolveImportConflict({ local, incoming }, policy) {
+    if (policy === 'keep-local') return null;
+    if (policy === 'take-incoming') return { ...incoming, pinned: local.pinned, order: local.order };
+    const progressFrom = (incoming.lastReview || 0) > (local.lastReview || 0) ? incoming : local;
+    const merged = { ...incoming, pinned: local.pinned, order: local.order };
+    SCHEDULING_FIELDS.forEach(field => {
+        if (progressFrom[field] === undefined) {
+            delete merged[field];
+        } else {
+            merged[field] = progressFrom[field];
+        }
+    });
+    return merged;
+}
+
+/**
+ * Apply a previewed import.
+ *
+ * @param {ImportPlan} plan
+ * @param {'replace'|'merge'|'add'} mode
+ * @param {string} policy - conflict policy for 'merge'
+ */
+async function applyImport(plan, mode, policy) {
+    const audioFor = new Map(); // final card id -> Blob
+
+    if (mode === 'replace') {
+        const incoming = [...plan.fresh, ...plan.updated, ...plan.unchanged, ...plan.conflicts.map(c => c.incoming)];
+        incoming.forEach(card => {
+            card.hasAudio = plan.audio.has(card.id);
+            if (card.hasAudio) audioFor.set(card.id, plan.audio.get(card.id));
+        });
+        cards = incoming;
+        normalizeOrders();
+        await saveCards(cards);
+        // saveCards keeps the clip of every id still in use; drop the ones
+        // the file did not bring.
+        for (const card of cards) {
+            if (!card.hasAudio) await deleteAudio(card.id);
+        }
+        // Earlier snapshots describe a deck that no longer exists.
+        undoStack.length = 0;
+    } else {
+        const changed = [];
+        let nextOrder = cards.reduce((m, c) => Math.max(m, c.order), -1) + 1;
+        const add = (card, audio) => {
+            card.order = nextOrder++;
+            card.pinned = false;
+            card.hasAudio = !!audio;
+            if (audio) audioFor.set(card.id, audio);
+            cards.push(card);
+            changed.push(card);
+        };
+        const replace = (card) => {
+            const idx = cards.findIndex(c => c.id === card.id);
+            const local = cards[idx];
+            const audio = plan.audio.get(card.id);
+            // Keep the local clip unless the file brings a new one.
+            card.hasAudio = audio ? true : local.hasAudio;
+            if (audio) audioFor.set(card.id, audio);
+            cards[idx] = card;
+            changed.push(card);
+        };
+
+        if (mode === 'add') {
+            const incoming = [...plan.fresh, ...plan.updated, ...plan.unchanged, ...plan.conflicts.map(c => c.incoming)];
+            // Fresh ids, with derived cards pointing at their source's new id.
+            const newIds = new Map(incoming.map(card => [card.id, generateId()]));
+            incoming.forEach(card => {
+                const audio = plan.audio.get(card.id);
+                const copy = { ...card, id: newIds.get(card.id) };
+                if (copy.parentId && newIds.has(copy.parentId)) copy.parentId = newIds.get(copy.parentId);
+                add(copy, audio);
+            });
+        } else {
+            plan.fresh.forEach(card => add(card, plan.audio.get(card.id)));
+            plan.updated.forEach(card => {
+                const local = cards.find(c => c.id === card.id);
+                replace({ ...card, pinned: local.pinned, order: local.order });
+            });
+            plan.conflicts.forEach(conflict => {
+                const resolved = resolveImportConflict(conflict, policy);
+                if (resolved) replace(resolved);
+            });
+        }
+        changed.push(...normalizeOrders());
+        await putCards([...new Set(changed)]);
+    }
+
+    for (const [id, blob] of audioFor) {
+        await putAudio(id, blob);
+    }
+    putCards(migrateCardsToScheduler(getScheduler()));
+    syncReverseCards();
+    invalidateStudyQueue();
+    refreshCardViews();
+}
+
+function renderImportPreview(plan) {
+    const counts = [
+        ['New', plan.fresh.length],
+        ['Updated', plan.updated.length],
+        ['Conflicting', plan.conflicts.length],
+        ['Unchanged', plan.unchanged.length],
+        ['Invalid', plan.invalid.length]
+    ];
+    importSummaryEl.innerHTML = '';
+    counts.forEach(([label, count]) => {
+        const li = document.createElement('li');
+        li.textContent = `${label}: ${count}`;
+        importSummaryEl.appendChild(li);
+    });
+    // Without a local review date "most recent progress" always picks the file.
+    const undated = plan.conflicts.filter(c => !c.local.lastReview).length;
+    if (undated > 0) {
+        const li = document.createElement('li');
+        li.className = 'note';
+        li.textContent = `${undated} conflicting card(s) were studied here before review dates were kept, ` +
+            'so the most recent progress cannot be told apart – choose "Keep my card" to keep yours.';
+        importSummaryEl.appendChild(li);
+    }
+
+    importErrorsEl.innerHTML = '';
+    plan.invalid.slice(0, 10).forEach(msg => {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        importErrorsEl.appendChild(li);
+    });
+    if (plan.invalid.length > 10) {
+        const li = document.createElement('li');
+        li.textContent = `…and ${plan.invalid.length - 10} more`;
+        importErrorsEl.appendChild(li);
+    }
+    updateImportModeControls();
+}
+
+function selectedImportMode() {
+    const checked = importDialog.querySelector('input[name="import-mode"]:checked');
+    return checked ? checked.value : 'merge';
+}
+
+function updateImportModeControls() {
+    const total = pendingImport
+        ? pendingImport.fresh.length + pendingImport.updated.length + pendingImport.conflicts.length + pendingImport.unchanged.length
+        : 0;
+    importConflictPolicy.disabled = selectedImportMode() !== 'merge';
+    importConfirmBtn.disabled = total === 0;
+}
+
+/**
+ * Parse an import file into a list of raw card entries. Accepts a ZIP bundle
+ * (clips attached to their entries as `audioBlob`), a versioned JSON bundle,
+ * or the legacy flat JSON array with inline `audioData`.
+ *
+ * @param {File} file
+ * @returns {Promise<any[]>}
+ */
+async function readImportFile(file) {
+    const buffer = await file.arrayBuffer();
+    if (isZip(buffer)) {
+        const files = await readZip(buffer);
+        const manifest = files.get(BUNDLE_MANIFEST_NAME);
+        if (!manifest) throw new Error(`${BUNDLE_MANIFEST_NAME} missing from bundle`);
+        const entries = parseExportBundle(JSON.parse(await manifest.text()));
+        entries.forEach(entry => {
+            if (entry && entry.audioFile && files.has(entry.audioFile)) {
+                entry.audioBlob = new Blob([files.get(entry.audioFile)], { type: 'audio/mpeg' });
+            }
+        });
+        return entries;
+    }
+
+    const imported = JSON.parse(new TextDecoder().decode(buffer));
+    if (Array.isArray(imported)) return imported; // legacy export
+    return parseExportBundle(imported);
+}
+
+// Classify raw entries and open the preview dialog.
+function showImportPreview(entries, fileName) {
+    pendingImport = planImport(entries);
+    importFileNameEl.textContent = fileName;
+    renderImportPreview(pendingImport);
+    importDialog.showModal();
+}
+
+importFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    // reset so picking the same file again still fires `change`
+    importFileInput.value = '';
+    if (!file) return;
+    try {
+        // Spreadsheets need their columns mapped before they can be previewed.
+        if (isDelimitedFile(file)) {
+            openCsvDialog(file.name, await file.text());
+            return;
+        }
+        showImportPreview(await readImportFile(file), file.name);
+    } catch (err) {
+        console.error('Error reading import file', err);
+        alert('Error parsing file: ' + err.message);
+    }
+});
+
+if (importDialog) {
+    importDialog.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+        radio.addEventListener('change', updateImportModeControls);
+    });
+    importCancelBtn.addEventListener('click', () => {
+        pendingImport = null;
+        importDialog.close();
+    });
+    importConfirmBtn.addEventListener('click', async () => {
+        if (!pendingImport) return;
+        const mode = selectedImportMode();
+        if (mode === 'replace' && cards.length > 0 &&
+            !confirm(`Replace all ${cards.length} cards on this device with the imported ones?`)) {
+            return;
+        }
+        importConfirmBtn.disabled = true;
+        try {
+            await applyImport(pendingImport, mode, importConflictPolicy.value);
+            importDialog.close();
+            alert('Import successful!');
+        } catch (err) {
+            console.error('Import failed', err);
+            alert('Import failed: ' + err.message);
+        } finally {
+            pendingImport = null;
+            importConfirmBtn.disabled = false;
+        }
+    });
+}
+
+// ---- CSV / TSV ----
+//
+// Spreadsheet and Anki "Notes in Plain Text" files. On import the user maps
+// columns to English / Chinese / tags / deck; on export audio is referenced
+// the Anki way, `[sound:<id>.mp3]`, with the clips zipped alongside.
+
+const CSV_ROLES = [
+    { key: 'question', label: 'English paragraph', required: true, guess: /english|question|front|sentence|text/i },
+    { key: 'answer', label: 'Chinese translation', required: true, guess: /chinese|中文|answer|back|translation|meaning/i },
+    { key: 'tags', label: 'Tags', required: false, guess: /tags?/i },
+    { key: 'deck', label: 'Deck', required: false, guess: /deck/i }
+];
+
+let pendingCsv = null; // { fileName, rows, delimiter }
+
+function isDelimitedFile(file) {
+    return /\.(csv|tsv|txt)$/i.test(file.name) || /^text\/(csv|tab-separated-values|plain)$/.test(file.type);
+}
+
+/**
+ * Split delimited text into rows of cells, honouring RFC 4180 quoting
+ * (quoted cells may contain the delimiter, newlines and doubled quotes).
+ *
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Read Anki's `#key:value` header lines (e.g. `#separator:tab`) and return
+ * the remaining text plus the delimiter to use.
+ */
+function splitAnkiHeaders(text) {
+    const names = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    let delimiter = null;
+    let bodyStart = 0;
+    while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+        const match = lines[bodyStart].match(/^#separator:(.+)$/i);
+        if (match) delimiter = names[match[1].trim().toLowerCase()] || match[1].trim();
+        bodyStart++;
+    }
+    const body = lines.slice(bodyStart).join('\n');
+    if (!delimiter) {
+        // Guess from the first line: tabs win, then semicolons, then commas.
+        const first = lines[bodyStart] || '';
+        delimiter = first.includes('\t') ? '\t' : (first.split(';').length > first.split(',').length ? ';' : ',');
+    }
+    return { body, delimiter };
+}
+
+// Anki fields may carry HTML and sound tags; keep only the plain text.
+function cleanImportedField(value) {
+    return value
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .trim();
+}
+
+function openCsvDialog(fileName, text) {
+    const { body, delimiter } = splitAnkiHeaders(text);
+    const rows = parseDelimited(body, delimiter);
+    if (rows.length === 0) throw new Error('The file has no rows');
+    pendingCsv = { fileName, rows, delimiter };
+    csvFileNameEl.textContent = fileName;
+
+    // A first row matching the role names is almost certainly a header.
+    const first = rows[0];
+    csvHasHeader.checked = CSV_ROLES.filter(r => first.some(cell => r.guess.test(cell))).length >= 2;
+    csvDeckInput.value = settings.deckFilter || '';
+    renderCsvMapping();
+    csvDialog.showModal();
+}
+
+function renderCsvMapping() {
+    const { rows } = pendingCsv;
+    const width = Math.max(...rows.map(r => r.length));
+    const header = csvHasHeader.checked ? rows[0] : null;
+    const sample = rows[csvHasHeader.checked ? 1 : 0] || [];
+    const columnName = (idx) => {
+        const title = header ? header[idx] : (sample[idx] || '').slice(0, 30);
+        return `Column ${idx + 1}${title ? ` – ${title}` : ''}`;
+    };
+
+    csvMappingEl.innerHTML = '';
+    CSV_ROLES.forEach((role, roleIdx) => {
+        const label = document.createElement('label');
+        label.textContent = role.label + ' ';
+        const select = document.createElement('select');
+        select.dataset.role = role.key;
+        if (!role.required) {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = '(none)';
+            select.appendChild(none);
+        }
+        for (let idx = 0; idx < width; idx++) {
+            const opt = document.createElement('option');
+            opt.value = String(idx);
+            opt.textContent = columnName(idx);
+            select.appendChild(opt);
+        }
+        let guess = header ? header.findIndex(cell => role.guess.test(cell)) : -1;
+        if (guess === -1 && role.required && roleIdx < width) guess = roleIdx;
+        select.value = guess === -1 ? '' : String(guess);
+        label.appendChild(select);
+        csvMappingEl.appendChild(label);
+    });
+
+    csvPreviewEl.innerHTML = '';
+    rows.slice(0, 6).forEach((row, idx) => {
+        const tr = document.createElement('tr');
+        if (idx === 0 && header) tr.classList.add('header-row');
+        for (let c = 0; c < width; c++) {
+            const td = document.createElement('td');
+            const value = row[c] || '';
+            td.textContent = value.length > 40 ? value.slice(0, 40) + '…' : value;
+            tr.appendChild(td);
+        }
+        csvPreviewEl.appendChild(tr);
+    });
+}
+
+/**
+ * Turn the mapped rows into raw card entries for `planImport`.
+ *
+ * @returns {object[]}
+ */
+function csvRowsToEntries() {
+    const mapping = {};
+    csvMappingEl.querySelectorAll('select').forEach(select => {
+        mapping[select.dataset.role] = select.value === '' ? -1 : parseInt(select.value, 10);
+    });
+    const defaultDeck = csvDeckInput.value.trim();
+    const rows = csvHasHeader.checked ? pendingCsv.rows.slice(1) : pendingCsv.rows;
+    return rows.map(row => {
+        const cell = (role) => mapping[role] >= 0 ? cleanImportedField(row[mapping[role]] || '') : '';
+        // Anki's tab-separated exports separate tags with spaces; spreadsheet
+        // tags are comma separated and may contain spaces ("food and drink").
+        const tags = pendingCsv.delimiter === '\t' ? cell('tags').replace(/\s+/g, ',') : cell('tags');
+        const entry = {
+            question: cell('question'),
+            answer: cell('answer'),
+            tags: parseTags(tags)
+        };
+        const deck = cell('deck') || defaultDeck;
+        if (deck) entry.deck = deck.replace(/::/g, ' / ');
+        return entry;
+    });
+}
+
+if (csvDialog) {
+    csvHasHeader.addEventListener('change', renderCsvMapping);
+    csvCancelBtn.addEventListener('click', () => {
+        pendingCsv = null;
+        csvDialog.close();
+    });
+    csvContinueBtn.addEventListener('click', () => {
+        const mapped = [...csvMappingEl.querySelectorAll('select')].filter(sel => sel.value !== '');
+        if (new Set(mapped.map(sel => sel.value)).size !== mapped.length) {
+            alert('Each column can only be used once.');
+            return;
+        }
+        const entries = csvRowsToEntries();
+        const fileName = pendingCsv.fileName;
+        pendingCsv = null;
+        csvDialog.close();
+        showImportPreview(entries, fileName);
+    });
+}
+
+function escapeDelimitedCell(value, delimiter) {
+    if (value.includes('"') || value.includes(delimiter) || /[\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * Serialise cards as CSV (with a header row) or Anki-ready TSV (with `#`
+ * header lines). Tags are space separated as Anki expects.
+ *
+ * @param {Flashcard[]} list
+ * @param {'csv'|'tsv'} format
+ * @param {Set<string>} withAudio - ids whose clip is shipped as `<id>.mp3`
+ * @returns {string}
+ */
+function buildDelimitedExport(list, format, withAudio) {
+    const delimiter = format === 'tsv' ? '\t' : ',';
+    const lines = format === 'tsv'
+        ? ['#separator:tab', '#html:false', '#tags column:3', '#deck column:4']
+        : [['English', 'Chinese', 'Tags', 'Deck'].join(delimiter)];
+    list.forEach(card => {
+        const question = withAudio.has(card.id) ? `${card.question} [sound:${card.id}.mp3]` : card.question;
+        // Anki wants space-separated tags; spreadsheets get commas, matching import.
+        const tags = format === 'tsv' ? card.tags.map(t => t.replace(/\s+/g, '_')).join(' ') : card.tags.join(', ');
+        const cells = [question, card.answer, tags, card.deck];
+        lines.push(cells.map(cell => escapeDelimitedCell(cell, delimiter)).join(delimiter));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Export as CSV / TSV. Cards with audio reference `[sound:<id>.mp3]`; the text
+ * file and the clips are then zipped together (copy the clips into Anki's
+ * media folder). Without any audio the plain text file is downloaded.
+ * Cloze and reverse cards are left out: as rows they would just repeat their
+ * source card.
+ *
+ * @param {Flashcard[]} list
+ * @param {'csv'|'tsv'} format
+ */
+async function exportDelimited(list, format) {
+    list = list.filter(card => !isDerivedCard(card));
+    const stamp = dayKey(Date.now());
+    const clips = [];
+    for (const card of list) {
+        const blob = card.hasAudio ? await getAudio(card.id) : null;
+        if (blob) clips.push({ id: card.id, blob });
+    }
+    const text = buildDelimitedExport(list, format, new Set(clips.map(c => c.id)));
+    const mime = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+    const textBlob = new Blob(['\uFEFF' + text], { type: `${mime};charset=utf-8` });
+
+    if (clips.length === 0) {
+        downloadBlob(textBlob, `flashcards-${stamp}.${format}`);
+        return;
+    }
+    const files = [{ name: `flashcards.${format}`, data: textBlob }];
+    clips.forEach(clip => files.push({ name: `media/${clip.id}.mp3`, data: clip.blob }));
+    downloadBlob(await createZip(files), `flashcards-${stamp}-${format}.zip`);
+}
 
-        li.draggable = true;
-        li.dataset.id = card.id;
-        li.addEventListener('dragstart', () => {
-            dragSrcId = card.id;
-            li.classList.add('dragging');
+// ---- Add card ----
+
+if (saveCardBtn) {
+    saveCardBtn.addEventListener('click', async () => {
+    const question = questionInput.value.trim();
+    const answer = answerInput.value.trim();
+    if (!question || !answer) return;
+
+    const meta = {
+        deck: deckInput ? deckInput.value.trim() : '',
+        tags: tagsInput ? parseTags(tagsInput.value) : [],
+        reverse: reverseInput ? reverseInput.checked : false
+    };
+
+    const handleData = (audioBlob) => {
+        if (editingCardId) {
+            updateExistingCard(editingCardId, question, answer, audioBlob, meta);
+        } else {
+            createCard(question, answer, audioBlob, meta);
+        }
+    };
+
+    // A picked File is already a Blob; an edit without new audio keeps the
+    // card's stored clip untouched.
+    const file = audioInput ? audioInput.files[0] : null;
+    let audioBlob = null;
+
+    if (file) {
+        audioBlob = file;
+    } else if (generatedAudioBlob) {
+        audioBlob = generatedAudioBlob;
+        generatedAudioBlob = null;
+    }
+
+    handleData(audioBlob);
+});
+}
+
+/**
+ * A new, never-studied card record with the given content fields.
+ *
+ * @param {object} fields - question, answer, deck, tags, plus any type-specific fields
+ * @param {number} order
+ * @returns {Flashcard}
+ */
+function newCardRecord(fields, order) {
+    return {
+        id: generateId(),
+        hasAudio: false,
+        ...fields,
+        deck: fields.deck || DEFAULT_DECK,
+        interval: 0,
+        repetitions: 0,
+        easeFactor: SM2_INITIAL_EASE,
+        nextReview: Date.now(),
+        scheduler: settings.scheduler,
+        pinned: false,
+        order
+    };
+}
+
+// The order value after the last card's.
+function nextCardOrder() {
+    return cards.reduce((m, c) => Math.max(m, typeof c.order === 'number' ? c.order : -1), -1) + 1;
+}
+
+function createCard(question, answer, audioBlob, { deck = '', tags = [], reverse = false } = {}) {
+    const card = newCardRecord({ question, answer, hasAudio: !!audioBlob, deck, tags }, nextCardOrder());
+    if (reverse) card.reverse = true;
+    cards.push(card);
+    putCards([card, ...normalizeOrders()]);
+    if (audioBlob) putAudio(card.id, audioBlob);
+    syncReverseCards();
+
+    // reset form
+    if (promptInput) promptInput.value = '';
+    questionInput.value = '';
+    answerInput.value = '';
+    if (tagsInput) tagsInput.value = '';
+    if (reverseInput) reverseInput.checked = false;
+    if (audioInput) audioInput.value = '';
+
+    showSavedStatus('Card saved!');
+
+    renderDeckControls();
+    renderCardList();
+    renderReviewList();
+    renderReviewList();
+}
+
+function updateExistingCard(id, question, answer, audioBlob, meta) {
+    const card = cards.find(c => c.id === id);
+    if (!card) return;
+
+    const oldAudio = audioBlob && card.hasAudio ? getAudio(id) : Promise.resolve(null);
+    const derived = getDerivedCards(id);
+    pushUndo('Edited card', {
+        before: snapshotCards([card, ...derived]),
+        audio: audioBlob ? oldAudio.then(blob => ({ [id]: blob })) : null
+    });
+
+    card.question = question;
+    card.answer = answer;
+    if (meta) {
+        card.deck = meta.deck || DEFAULT_DECK;
+        card.tags = meta.tags;
+        card.reverse = !!meta.reverse;
+    }
+    if (audioBlob) {
+        card.hasAudio = true;
+        delete card.sentences; // timings belonged to the old clip
+        oldAudio.then(() => putAudio(card.id, audioBlob));
+    }
+    // Cloze and reverse cards keep a copy of the text so they stand on their own.
+    derived.forEach(copy => {
+        copy.question = card.question;
+        copy.answer = card.answer;
+        copy.deck = card.deck;
+        copy.tags = card.tags;
+    });
+
+    putCards([card, ...derived]);
+    syncReverseCards();
+
+    editingCardId = null;
+    saveCardBtn.textContent = 'Save Card';
+    cancelEditBtn.classList.add('hidden');
+
+    // reset form inputs
+    questionInput.value = '';
+    answerInput.value = '';
+    if (tagsInput) tagsInput.value = '';
+    if (reverseInput) reverseInput.checked = false;
+    if (audioInput) audioInput.value = '';
+
+    showSavedStatus('Card updated!');
+
+    renderDeckControls();
+    renderCardList();
+    renderReviewList();
+}
+
+// ---- Cloze cards ----
+// A cloze card blanks out one word or phrase of a paragraph card. It keeps a
+// copy of the paragraph (synced when the paragraph is edited), plays the
+// paragraph's audio and has its own scheduling state.
+
+const clozeDialog = document.getElementById('cloze-dialog');
+const clozeWordsEl = document.getElementById('cloze-words');
+const clozeSuggestBtn = document.getElementById('cloze-suggest-btn');
+const clozeStatus = document.getElementById('cloze-status');
+const clozeSaveBtn = document.getElementById('cloze-save-btn');
+const clozeCancelBtn = document.getElementById('cloze-cancel-btn');
+
+let clozeParentId = null;
+let clozeTokens = [];        // words of the paragraph with their offsets
+let clozeSelected = new Set(); // indexes into clozeTokens
+
+/**
+ * The card whose clip plays for `card`: cloze and reverse cards borrow their
+ * source card's.
+ *
+ * @param {Flashcard} card
+ * @returns {Flashcard}
+ */
+function audioOwner(card) {
+    if (isDerivedCard(card)) {
+        const parent = cards.find(c => c.id === card.parentId);
+        if (parent) return parent;
+    }
+    return card;
+}
+
+function cardHasAudio(card) {
+    return !!audioOwner(card).hasAudio;
+}
+
+function getClozeChildren(id) {
+    return cards.filter(c => c.type === 'cloze' && c.parentId === id);
+}
+
+// Cloze and reverse cards copy their source card's text and are edited and
+// deleted with it. (Word cards are independent once created.)
+function isDerivedCard(card) {
+    return card.type === 'cloze' || card.type === 'reverse';
+}
+
+function getDerivedCards(id) {
+    return cards.filter(c => isDerivedCard(c) && c.parentId === id);
+}
+
+// Start offsets of every occurrence of `phrase` in `text`.
+function findOccurrences(text, phrase) {
+    const found = [];
+    if (!phrase) return found;
+    for (let at = text.indexOf(phrase); at !== -1; at = text.indexOf(phrase, at + 1)) {
+        found.push(at);
+    }
+    return found;
+}
+
+/**
+ * Where a cloze card's phrase sits in its paragraph, or null when the
+ * paragraph was edited and no longer contains it.
+ *
+ * @returns {{start: number, end: number}|null}
+ */
+function locateCloze(card) {
+    const at = findOccurrences(card.question, card.cloze)[card.clozeOccurrence || 0];
+    return at === undefined ? null : { start: at, end: at + card.cloze.length };
+}
+
+function renderClozeQuestion(el, card, revealed) {
+    el.textContent = '';
+    const at = locateCloze(card);
+    if (!at) {
+        el.textContent = card.question;
+        const note = document.createElement('small');
+        note.className = 'note';
+        note.textContent = ` (the blanked phrase “${card.cloze}” is no longer in this paragraph)`;
+        el.appendChild(note);
+        return;
+    }
+    const gap = document.createElement('span');
+    gap.className = revealed ? 'cloze-answer' : 'cloze-blank';
+    // Roughly as wide as the hidden phrase without giving its length away exactly.
+    gap.textContent = revealed ? card.cloze : '_'.repeat(Math.max(5, Math.round(card.cloze.length * 0.8)));
+    el.append(card.question.slice(0, at.start), gap, card.question.slice(at.end));
+}
+
+/**
+ * Add cloze cards cut from `parent`, one per phrase.
+ *
+ * @param {Flashcard} parent
+ * @param {{cloze: string, clozeOccurrence: number}[]} phrases
+ * @returns {Flashcard[]} the new cards
+ */
+function createClozeCards(parent, phrases) {
+    let order = nextCardOrder();
+    const created = phrases.map(({ cloze, clozeOccurrence }) => newCardRecord({
+        type: 'cloze',
+        parentId: parent.id,
+        cloze,
+        clozeOccurrence,
+        question: parent.question,
+        answer: parent.answer, // hasAudio stays false – it plays the parent's clip
+        deck: parent.deck,
+        tags: [...parent.tags]
+    }, order++));
+    cards.push(...created);
+    putCards(created);
+    return created;
+}
+
+// Turn runs of selected words into phrases, trimming punctuation at the edges.
+function selectedClozePhrases(text) {
+    const phrases = [];
+    let run = null;
+    const flush = () => {
+        if (!run) return;
+        let start = clozeTokens[run.first].start;
+        let end = clozeTokens[run.last].end;
+        while (start < end && !/[\p{L}\p{N}]/u.test(text[start])) start++;
+        while (end > start && !/[\p{L}\p{N}]/u.test(text[end - 1])) end--;
+        if (end > start) {
+            const cloze = text.slice(start, end);
+            phrases.push({ cloze, clozeOccurrence: findOccurrences(text, cloze).indexOf(start) });
+        }
+        run = null;
+    };
+    clozeTokens.forEach((token, i) => {
+        if (!clozeSelected.has(i)) {
+            flush();
+        } else if (run) {
+            run.last = i;
+        } else {
+            run = { first: i, last: i };
+        }
+    });
+    flush();
+    return phrases;
+}
+
+// Select the words a phrase covers (first case-insensitive match).
+function selectClozeRange(start, end) {
+    clozeTokens.forEach((token, i) => {
+        if (token.start < end && token.end > start) clozeSelected.add(i);
+    });
+}
+
+function renderClozeWords() {
+    clozeWordsEl.textContent = '';
+    clozeTokens.forEach((token, i) => {
+        if (i > 0) clozeWordsEl.appendChild(document.createTextNode(' '));
+        const word = document.createElement('button');
+        word.type = 'button';
+        word.className = clozeSelected.has(i) ? 'cloze-word selected' : 'cloze-word';
+        word.textContent = token.text;
+        word.addEventListener('click', () => {
+            if (clozeSelected.has(i)) {
+                clozeSelected.delete(i);
+            } else {
+                clozeSelected.add(i);
+            }
+            word.classList.toggle('selected', clozeSelected.has(i));
         });
-        li.addEventListener('dragend', () => {
-            dragSrcId = null;
-            li.classList.remove('dragging');
+        clozeWordsEl.appendChild(word);
+    });
+}
+
+function openClozeDialog(id) {
+    const parent = cards.find(c => c.id === id);
+    if (!parent || !clozeDialog) return;
+    clozeParentId = id;
+    clozeTokens = [...parent.question.matchAll(/\S+/g)].map(m => ({
+        text: m[0],
+        start: m.index,
+        end: m.index + m[0].length
+    }));
+    clozeSelected = new Set();
+    getClozeChildren(id).forEach(cloze => {
+        const at = locateCloze(cloze);
+        if (at) selectClozeRange(at.start, at.end);
+    });
+    clozeStatus.textContent = '';
+    renderClozeWords();
+    clozeDialog.showModal();
+}
+
+/**
+ * Ask the model for words or phrases worth blanking out.
+ *
+ * @returns {Promise<string[]>} phrases copied from the paragraph
+ */
+async function suggestClozePhrases(paragraph, apiKey) {
+    const reply = await aiChat('paragraph', {
+        messages: [
+            { role: 'system', content: 'You help ESL learners practise vocabulary. From the paragraph, pick 3-6 useful words or short phrases (collocations, phrasal verbs, idioms) worth blanking out in a cloze test. Reply with a JSON array of strings copied exactly from the paragraph and nothing else.' },
+            { role: 'user', content: paragraph }
+        ],
+        temperature: 0.3
+    }, apiKey);
+    const list = parseJsonReply(reply);
+    return Array.isArray(list) ? list.filter(p => typeof p === 'string' && p.trim()) : [];
+}
+
+if (clozeDialog) {
+    clozeCancelBtn.addEventListener('click', () => clozeDialog.close());
+
+    clozeSuggestBtn.addEventListener('click', async () => {
+        const parent = cards.find(c => c.id === clozeParentId);
+        if (!parent) return;
+        const apiKey = getApiKey();
+        if (apiKey === null) return;
+        clozeSuggestBtn.disabled = true;
+        clozeStatus.textContent = 'Asking for suggestions…';
+        try {
+            const phrases = await suggestClozePhrases(parent.question, apiKey);
+            const lower = parent.question.toLowerCase();
+            let found = 0;
+            phrases.forEach(phrase => {
+                const at = lower.indexOf(phrase.trim().toLowerCase());
+                if (at === -1) return;
+                selectClozeRange(at, at + phrase.trim().length);
+                found += 1;
+            });
+            renderClozeWords();
+            clozeStatus.textContent = found ? `${found} suggestion(s) selected – adjust and save.` : 'No usable suggestions.';
+        } catch (err) {
+            console.error('Cloze suggestion failed', err);
+            clozeStatus.textContent = 'Could not get suggestions: ' + err.message;
+        } finally {
+            clozeSuggestBtn.disabled = false;
+        }
+    });
+
+    clozeSaveBtn.addEventListener('click', () => {
+        const parent = cards.find(c => c.id === clozeParentId);
+        if (!parent) {
+            clozeDialog.close();
+            return;
+        }
+        const wanted = selectedClozePhrases(parent.question);
+        const keyOf = (c) => `${c.clozeOccurrence}:${c.cloze}`;
+        const existing = getClozeChildren(parent.id);
+        const wantedKeys = new Set(wanted.map(keyOf));
+        const existingKeys = new Set(existing.map(keyOf));
+        // Clozes whose phrase vanished in an edit are not shown, so keep them.
+        const removed = existing.filter(c => locateCloze(c) && !wantedKeys.has(keyOf(c)));
+        const added = createClozeCards(parent, wanted.filter(p => !existingKeys.has(keyOf(p))));
+        if (removed.length) {
+            pushUndo(removed.length === 1 ? 'Removed cloze card' : `Removed ${removed.length} cloze cards`, {
+                before: snapshotCards(removed)
+            });
+            cards = cards.filter(c => !removed.includes(c));
+            removed.forEach(c => deleteCardRecord(c.id));
+        }
+        clozeDialog.close();
+        if (added.length || removed.length) {
+            invalidateStudyQueue();
+            refreshCardViews();
+        }
+    });
+}
+
+// ---- Reverse cards ----
+// A reverse card shows the Chinese and asks for the English. It is its own
+// card with its own scheduling, copying the text of the card it reverses,
+// and exists while that card has `reverse` set or sits in a deck listed in
+// `settings.reverseDecks`.
+
+const reverseDecksEl = document.getElementById('reverse-decks');
+
+/**
+ * What a reverse card shows. A word card's answer also holds the English
+ * definition and an example with the word in it, so only its gloss is used.
+ *
+ * @param {Flashcard} card - a reverse card
+ * @returns {string}
+ */
+function reversePrompt(card) {
+    const source = cards.find(c => c.id === card.parentId);
+    if (source && source.type === 'word' && source.vocab && source.vocab.chinese) return source.vocab.chinese;
+    return card.answer;
+}
+
+function wantsReverse(card) {
+    if (card.type && card.type !== 'word') return false;
+    return !!card.reverse || settings.reverseDecks.includes(card.deck);
+}
+
+/**
+ * Create the reverse cards that are wanted but missing and drop the ones no
+ * longer wanted (or whose card is gone).
+ *
+ * @returns {{created: Flashcard[], removed: Flashcard[]}}
+ */
+function syncReverseCards() {
+    const byId = new Map(cards.map(c => [c.id, c]));
+    const haveReverse = new Set(cards.filter(c => c.type === 'reverse').map(c => c.parentId));
+    const removed = cards.filter(c => c.type === 'reverse' && !(byId.has(c.parentId) && wantsReverse(byId.get(c.parentId))));
+    let order = nextCardOrder();
+    const created = cards
+        .filter(c => wantsReverse(c) && !haveReverse.has(c.id))
+        .map(source => newCardRecord({
+            type: 'reverse',
+            parentId: source.id,
+            question: source.question,
+            answer: source.answer,
+            deck: source.deck,
+            tags: [...source.tags]
+        }, order++));
+    if (removed.length) {
+        cards = cards.filter(c => !removed.includes(c));
+        removed.forEach(c => deleteCardRecord(c.id));
+    }
+    if (created.length) {
+        cards.push(...created);
+        putCards(created);
+    }
+    return { created, removed };
+}
+
+// Settings: one checkbox per deck.
+function renderReverseDecks() {
+    if (!reverseDecksEl) return;
+    reverseDecksEl.textContent = '';
+    getDeckNames().forEach(deck => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = settings.reverseDecks.includes(deck);
+        box.addEventListener('change', () => {
+            const next = box.checked
+                ? [...settings.reverseDecks, deck]
+                : settings.reverseDecks.filter(d => d !== deck);
+            if (!box.checked) {
+                const losing = cards.filter(c => c.type === 'reverse' && c.deck === deck &&
+                    !(cards.find(p => p.id === c.parentId) || {}).reverse).length;
+                if (losing && !confirm(`Remove ${losing} Chinese → English card(s) from "${deck}"? Their progress will be lost.`)) {
+                    box.checked = true;
+                    return;
+                }
+            }
+            settings.reverseDecks = next;
+            saveSettings();
+            const { created, removed } = syncReverseCards();
+            if (created.length || removed.length) {
+                invalidateStudyQueue();
+                refreshCardViews();
+            }
         });
+        label.append(box, ` ${deck}`);
+        reverseDecksEl.appendChild(label);
+    });
+}
+
+// ---- Vocabulary extraction ----
+// Word cards are small cards for the key words of a paragraph card. They
+// link back to the paragraph via `parentId` but are otherwise ordinary cards
+// with their own clip and scheduling.
+
+/**
+ * @typedef VocabEntry
+ * @property {string} word - word or phrase as used in the paragraph
+ * @property {string} partOfSpeech
+ * @property {string} definition - simple English definition
+ * @property {string} chinese - Traditional Chinese gloss
+ * @property {string} example - example sentence
+ */
+
+const vocabDialog = document.getElementById('vocab-dialog');
+const vocabList = document.getElementById('vocab-list');
+const vocabStatus = document.getElementById('vocab-status');
+const vocabAddBtn = document.getElementById('vocab-add-btn');
+const vocabCancelBtn = document.getElementById('vocab-cancel-btn');
+
+let vocabParentId = null;
+let vocabEntries = []; // suggestions shown in the dialog
+
+/**
+ * Ask the model for the paragraph's key vocabulary.
+ *
+ * @returns {Promise<VocabEntry[]>}
+ */
+async function extractVocabulary(paragraph, apiKey) {
+    const reply = await aiChat('paragraph', {
+        messages: [
+            { role: 'system', content: 'You help ESL learners whose first language is Traditional Chinese (Taiwan). From the paragraph, pick the 5-10 words or phrases most worth learning. Reply with a JSON array only, each item {"word": as used in the paragraph, "partOfSpeech": e.g. "noun" or "phrasal verb", "definition": a simple English definition, "chinese": a short Traditional Chinese gloss, "example": a new, simple example sentence}.' },
+            { role: 'user', content: paragraph }
+        ],
+        max_tokens: 900,
+        temperature: 0.3
+    }, apiKey, 60000);
+    const list = parseJsonReply(reply);
+    if (!Array.isArray(list)) throw new Error('The model did not return a list.');
+    return list
+        .filter(item => item && typeof item.word === 'string' && item.word.trim())
+        .map(item => ({
+            word: item.word.trim(),
+            partOfSpeech: String(item.partOfSpeech || '').trim(),
+            definition: String(item.definition || '').trim(),
+            chinese: String(item.chinese || '').trim(),
+            example: String(item.example || '').trim()
+        }));
+}
+
+// The answer side of a word card: gloss first, then the English details.
+function vocabAnswer(entry) {
+    const lines = [entry.chinese];
+    const definition = [entry.partOfSpeech, entry.definition].filter(Boolean).join(' · ');
+    if (definition) lines.push(definition);
+    if (entry.example) lines.push(`e.g. ${entry.example}`);
+    return lines.filter(Boolean).join('\n');
+}
 
-        const pinBtn = document.createElement("button");
-        pinBtn.className = "pin-btn" + (card.pinned ? " pinned" : "");
-        pinBtn.textContent = card.pinned ? "📌" : "📍";
-        pinBtn.title = card.pinned ? "Unpin" : "Pin";
-        pinBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
-            card.pinned = !card.pinned;
-            if (card.pinned) {
-                const minPinned = Math.min(...cards.filter(c => c.pinned && c.id !== card.id).map(c => c.order), Infinity);
-                card.order = isFinite(minPinned) ? minPinned - 1 : 0;
-            } else {
-                const maxOrder = Math.max(...cards.map(c => c.order));
-                card.order = maxOrder + 1;
-            }
-            normalizeOrders();
-            saveCards(cards);
-            renderReviewList();
-        });
-        li.appendChild(pinBtn);
+function existingWordCards(parentId) {
+    return cards.filter(c => c.type === 'word' && c.parentId === parentId);
+}
 
-        reviewList.appendChild(li);
+function renderVocabList() {
+    vocabList.textContent = '';
+    const have = new Set(existingWordCards(vocabParentId).map(c => c.question.toLowerCase()));
+    vocabEntries.forEach((entry, i) => {
+        const li = document.createElement('li');
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.index = i;
+        const already = have.has(entry.word.toLowerCase());
+        box.checked = !already;
+        box.disabled = already;
+        const word = document.createElement('strong');
+        word.textContent = entry.word;
+        const details = document.createElement('span');
+        details.textContent = ` ${entry.partOfSpeech ? `(${entry.partOfSpeech}) ` : ''}${entry.chinese} – ${entry.definition}`;
+        label.append(box, word, details);
+        li.appendChild(label);
+        if (entry.example) {
+            const example = document.createElement('div');
+            example.className = 'note';
+            example.textContent = already ? `${entry.example} (already a card)` : entry.example;
+            li.appendChild(example);
+        }
+        vocabList.appendChild(li);
     });
+}
 
-    if (!reviewList._dragBound) {
-        reviewList.addEventListener('dragover', (e) => e.preventDefault());
-        reviewList.addEventListener('drop', handleReviewDrop);
-        reviewList._dragBound = true;
+async function openVocabDialog(id) {
+    const parent = cards.find(c => c.id === id);
+    if (!parent || !vocabDialog) return;
+    const apiKey = getApiKey();
+    if (apiKey === null) return;
+    vocabParentId = id;
+    vocabEntries = [];
+    vocabList.textContent = '';
+    vocabAddBtn.disabled = true;
+    vocabStatus.textContent = 'Finding key words…';
+    vocabDialog.showModal();
+    try {
+        const entries = await extractVocabulary(parent.question, apiKey);
+        if (vocabParentId !== id) return;
+        vocabEntries = entries;
+        renderVocabList();
+        vocabStatus.textContent = entries.length ? 'Tick the words to keep.' : 'No words found.';
+        vocabAddBtn.disabled = entries.length === 0;
+    } catch (err) {
+        console.error('Vocabulary extraction failed', err);
+        vocabStatus.textContent = 'Could not extract vocabulary: ' + err.message;
     }
+}
 
-    reviewPlaybackOrder = sorted.map(card => card.id);
-    if (currentReviewCard) {
-        reviewPlaybackIndex = reviewPlaybackOrder.indexOf(currentReviewCard.id);
+/**
+ * Create word cards for the chosen entries, then give each its own clip.
+ * Audio is best effort: without a key or network the offline voice reads
+ * the card instead.
+ *
+ * @param {Flashcard} parent
+ * @param {VocabEntry[]} entries
+ * @param {object} [options]
+ * @param {HTMLElement} [options.statusEl] - where to report audio progress
+ * @param {boolean} [options.keepCurrentCard] - refresh the lists only, leaving
+ *   the card on screen (and its revealed answer) as it is
+ * @returns {Promise<Flashcard[]>}
+ */
+async function createWordCards(parent, entries, { statusEl = vocabStatus, keepCurrentCard = false } = {}) {
+    let order = nextCardOrder();
+    const created = entries.map(entry => newCardRecord({
+        type: 'word',
+        parentId: parent.id,
+        question: entry.word,
+        answer: vocabAnswer(entry),
+        vocab: entry,
+        deck: parent.deck,
+        tags: [...parent.tags]
+    }, order++));
+    cards.push(...created);
+    await putCards(created);
+    invalidateStudyQueue();
+    if (keepCurrentCard) {
+        renderDeckControls();
+        renderCardList();
+        renderReviewList();
+        updateDueCount();
+    } else {
+        refreshCardViews();
     }
-}
 
-function handleReviewDrop(e) {
-    e.preventDefault();
-    if (!dragSrcId) return;
-    const targetLi = e.target.closest('li');
-    const dragged = cards.find(c => c.id === dragSrcId);
-    if (!dragged) return;
+    if (!hasApiKey() || !navigator.onLine) return created;
+    const apiKey = getApiKey();
+    for (let i = 0; i < created.length; i++) {
+        const card = created[i];
+        statusEl.textContent = `Generating audio ${i + 1}/${created.length}…`;
+        try {
+            const text = card.vocab.example ? `${card.question}. ${card.vocab.example}` : card.question;
+            const blob = await generateTTS(text, apiKey);
+            // Deleted while its clip was generated: writing it would bring it back.
+            if (!cards.includes(card)) continue;
+            await putAudio(card.id, blob);
+            card.hasAudio = true;
+            await putCard(card);
+        } catch (err) {
+            console.warn('Word card audio failed', err);
+            if (isAiCancel(err) || err.budget) break;
+        }
+    }
+    renderCardList();
+    return created;
+}
 
-    const pinned = cards.filter(c => c.pinned).sort((a, b) => a.order - b.order);
-    const unpinned = cards.filter(c => !c.pinned).sort((a, b) => a.order - b.order);
+if (vocabDialog) {
+    vocabCancelBtn.addEventListener('click', () => {
+        vocabParentId = null;
+        vocabDialog.close();
+    });
 
-    if (targetLi) {
-        const targetId = targetLi.dataset.id;
-        const target = cards.find(c => c.id === targetId);
-        if (target) {
-            if (dragged.pinned !== target.pinned) {
-                if (dragged.pinned) {
-                    const fromIndex = pinned.findIndex(c => c.id === dragSrcId);
-                    pinned.splice(fromIndex, 1);
-                    pinned.push(dragged);
-                } else {
-                    const fromIndex = unpinned.findIndex(c => c.id === dragSrcId);
-                    unpinned.splice(fromIndex, 1);
-                    unpinned.unshift(dragged);
-                }
-            } else {
-                const group = dragged.pinned ? pinned : unpinned;
-                const fromIndex = group.findIndex(c => c.id === dragSrcId);
-                const toIndex = group.findIndex(c => c.id === targetId);
-                group.splice(fromIndex, 1);
-                group.splice(toIndex, 0, dragged);
-            }
+    vocabAddBtn.addEventListener('click', async () => {
+        const parent = cards.find(c => c.id === vocabParentId);
+        if (!parent) return;
+        const chosen = [...vocabList.querySelectorAll('input[type="checkbox"]:checked:not(:disabled)')]
+            .map(box => vocabEntries[Number(box.dataset.index)]);
+        if (chosen.length === 0) {
+            vocabDialog.close();
+            return;
         }
+        vocabAddBtn.disabled = true;
+        await createWordCards(parent, chosen);
+        vocabStatus.textContent = `Added ${chosen.length} word card(s).`;
+        vocabDialog.close();
+    });
+}
+
+// ---- Dictionary popover ----
+// Tapping an English word on the question side of Test or Study opens a small
+// popover with its pronunciation, meaning and a button to make it a word
+// card. Lookups are cached in IndexedDB, so a word looked up once also works
+// offline (the sense is the one from the first lookup). In shadowing mode
+// taps belong to the shadowing panel, so no lookup is made.
+
+/**
+ * @typedef {VocabEntry & {audio?: Blob, savedAt: number}} DictionaryEntry
+ * `word` is lower case and is the store key.
+ */
+
+const wordPopover = document.getElementById('word-popover');
+const wordPopoverWordEl = document.getElementById('word-popover-word');
+const wordPopoverPlayBtn = document.getElementById('word-popover-play');
+const wordPopoverCloseBtn = document.getElementById('word-popover-close');
+const wordPopoverChineseEl = document.getElementById('word-popover-chinese');
+const wordPopoverDefinitionEl = document.getElementById('word-popover-definition');
+const wordPopoverStatusEl = document.getElementById('word-popover-status');
+const wordPopoverAddBtn = document.getElementById('word-popover-add');
+
+let popoverWord = null;  // lower-case word being shown
+let popoverEntry = null; // its DictionaryEntry once loaded
+let popoverCard = null;  // the card it was tapped on
+
+/**
+ * The English word under a screen point, with its on-screen box, or null
+ * when the point is not on a word.
+ *
+ * @returns {{word: string, rect: DOMRect}|null}
+ */
+function wordAtPoint(x, y) {
+    let node;
+    let offset;
+    if (document.caretPositionFromPoint) {
+        const pos = document.caretPositionFromPoint(x, y);
+        if (!pos) return null;
+        node = pos.offsetNode;
+        offset = pos.offset;
+    } else if (document.caretRangeFromPoint) {
+        const range = document.caretRangeFromPoint(x, y);
+        if (!range) return null;
+        node = range.startContainer;
+        offset = range.startOffset;
     } else {
-        if (dragged.pinned) {
-            const fromIndex = pinned.findIndex(c => c.id === dragSrcId);
-            pinned.splice(fromIndex, 1);
-            pinned.push(dragged);
-        } else {
-            const fromIndex = unpinned.findIndex(c => c.id === dragSrcId);
-            unpinned.splice(fromIndex, 1);
-            unpinned.push(dragged);
-        }
+        return null;
     }
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+
+    const text = node.textContent;
+    const isWordChar = (ch) => /[A-Za-z'’-]/.test(ch);
+    let start = offset;
+    let end = offset;
+    while (start > 0 && isWordChar(text[start - 1])) start--;
+    while (end < text.length && isWordChar(text[end])) end++;
+    while (start < end && !/[A-Za-z]/.test(text[start])) start++;
+    while (end > start && !/[A-Za-z]/.test(text[end - 1])) end--;
+    if (start === end) return null;
+
+    // The caret snaps to the nearest word even from the margin; only accept
+    // taps that land on the word itself.
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    const rect = [...range.getClientRects()].find(r =>
+        x >= r.left - 2 && x <= r.right + 2 && y >= r.top - 2 && y <= r.bottom + 2);
+    if (!rect) return null;
+    return { word: text.slice(start, end), rect };
+}
 
-    cards = [...pinned, ...unpinned];
-    normalizeOrders();
-    saveCards(cards);
-    renderReviewList();
+// The sentence of the card the word appears in, so the model picks the right sense.
+function wordContext(card, word) {
+    const lower = word.toLowerCase();
+    return splitSentences(card.question).find(s => s.toLowerCase().includes(lower)) || card.question;
 }
 
+/**
+ * Ask the model for a learner's dictionary entry for `word`.
+ *
+ * @returns {Promise<VocabEntry>}
+ */
+async function defineWord(word, context, apiKey) {
+    const reply = await aiChat('translation', {
+        messages: [
+            { role: 'system', content: 'You are a learner\'s dictionary for ESL students whose first language is Traditional Chinese (Taiwan). Define the word as it is used in the sentence. Reply with JSON only: {"partOfSpeech": e.g. "noun", "definition": one short, simple English definition, "chinese": a short Traditional Chinese gloss, "example": a new, simple example sentence}.' },
+            { role: 'user', content: `Word: ${word}\nSentence: ${context}` }
+        ],
+        max_tokens: 200,
+        temperature: 0.2
+    }, apiKey, 30000);
+    const item = parseJsonReply(reply);
+    return {
+        word,
+        partOfSpeech: String(item.partOfSpeech || '').trim(),
+        definition: String(item.definition || '').trim(),
+        chinese: String(item.chinese || '').trim(),
+        example: String(item.example || '').trim()
+    };
+}
 
-function beginEdit(id) {
-    const card = cards.find((c) => c.id === id);
-    if (!card) return;
-    editingCardId = id;
-    questionInput.value = card.question;
-    answerInput.value = card.answer;
-    if (audioInput) audioInput.value = '';
+function renderWordPopover() {
+    const entry = popoverEntry;
+    wordPopoverChineseEl.textContent = entry ? entry.chinese : '';
+    wordPopoverDefinitionEl.textContent = entry
+        ? [entry.partOfSpeech && `(${entry.partOfSpeech})`, entry.definition].filter(Boolean).join(' ')
+        : '';
+    const already = cards.some(c => c.type === 'word' && c.question.toLowerCase() === popoverWord);
+    wordPopoverAddBtn.disabled = !entry || already;
+    wordPopoverAddBtn.textContent = already ? 'Already a card' : '➕ Make a card';
+}
 
-    saveCardBtn.textContent = 'Update Card';
-    cancelEditBtn.classList.remove('hidden');
+function positionWordPopover(rect) {
+    wordPopover.style.left = '0px';
+    wordPopover.style.top = '0px';
+    const box = wordPopover.getBoundingClientRect();
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - box.width - 8));
+    const below = rect.bottom + 8;
+    const top = below + box.height > window.innerHeight - 8 ? Math.max(8, rect.top - box.height - 8) : below;
+    wordPopover.style.left = `${left}px`;
+    wordPopover.style.top = `${top}px`;
+}
 
-    // Switch to Add section
-    addSection.classList.remove('hidden');
-    studySection.classList.add('hidden');
+async function openWordPopover(word, rect, card) {
+    const key = word.toLowerCase();
+    popoverWord = key;
+    popoverEntry = null;
+    popoverCard = card;
+    wordPopoverWordEl.textContent = word;
+    wordPopoverStatusEl.textContent = 'Looking up…';
+    renderWordPopover();
+    wordPopover.classList.remove('hidden');
+    positionWordPopover(rect);
+
+    let entry = await getDictionaryEntry(key);
+    if (!entry) {
+        if (!hasApiKey()) {
+            if (popoverWord === key) wordPopoverStatusEl.textContent = 'Add an API key in Settings to look words up.';
+            return;
+        }
+        if (!navigator.onLine) {
+            if (popoverWord === key) wordPopoverStatusEl.textContent = 'Offline – this word has not been looked up before.';
+            return;
+        }
+        try {
+            entry = { ...(await defineWord(key, wordContext(card, word), getApiKey())), savedAt: Date.now() };
+            await putDictionaryEntry(entry);
+        } catch (err) {
+            console.error('Dictionary lookup failed', err);
+            if (popoverWord === key) wordPopoverStatusEl.textContent = 'Could not look the word up: ' + err.message;
+            return;
+        }
+    }
+    if (popoverWord !== key) return;
+    popoverEntry = entry;
+    wordPopoverStatusEl.textContent = '';
+    renderWordPopover();
+    positionWordPopover(rect);
 }
 
-function deleteCard(id) {
-    // Straight-forward deletion without confirmation dialog
-    cards = cards.filter((c) => c.id !== id);
-    saveCards(cards);
-    renderCardList();
-    renderReviewList();
-    updateDueCount();
+function hideWordPopover() {
+    if (!wordPopover) return;
+    popoverWord = null;
+    popoverEntry = null;
+    popoverCard = null;
+    wordPopover.classList.add('hidden');
 }
 
-if (cancelEditBtn) {
-    cancelEditBtn.addEventListener('click', () => {
-        editingCardId = null;
-        questionInput.value = '';
-        answerInput.value = '';
-        if (audioInput) audioInput.value = '';
-        saveCardBtn.textContent = 'Save Card';
-        cancelEditBtn.classList.add('hidden');
+/**
+ * Pronounce the popover's word: the cached clip, else a fresh one from the
+ * AI provider (cached for next time), else the offline voice.
+ */
+async function playPopoverWord() {
+    const word = popoverWord;
+    const entry = popoverEntry;
+    if (!word) return;
+    if (entry && !entry.audio && hasApiKey() && navigator.onLine) {
+        try {
+            entry.audio = await generateTTS(word, getApiKey());
+            await putDictionaryEntry(entry);
+        } catch (err) {
+            console.warn('Word pronunciation failed', err);
+        }
+    }
+    if (entry && entry.audio) {
+        await playBlob(entry.audio);
+    } else if (speechSupported) {
+        await speakAndWait(word);
+    }
+}
+
+/**
+ * Look words up when they are tapped in `questionEl`. Runs in the capture
+ * phase and marks the click with `preventDefault()` so the reveal handler
+ * leaves it alone; a tapped sentence still plays as before.
+ */
+function attachWordLookup(questionEl, getCard, shadowing) {
+    questionEl.addEventListener('click', (e) => {
+        const card = getCard();
+        if (!card || shadowing.isOn()) return;
+        const hit = wordAtPoint(e.clientX, e.clientY);
+        if (!hit) return;
+        e.preventDefault();
+        openWordPopover(hit.word, hit.rect, card);
+    }, true);
+}
+
+if (wordPopover) {
+    attachWordLookup(cardQuestionEl, () => currentCard, studyShadowing);
+    attachWordLookup(reviewCardQuestionEl, () => currentReviewCard, reviewShadowing);
+
+    wordPopoverPlayBtn.addEventListener('click', playPopoverWord);
+    wordPopoverCloseBtn.addEventListener('click', hideWordPopover);
+
+    wordPopoverAddBtn.addEventListener('click', async () => {
+        const entry = popoverEntry;
+        const card = popoverCard;
+        if (!entry || !card) return;
+        // Word cards hang off the paragraph, also when the tap was on one of
+        // its cloze, reverse or word cards.
+        const parent = (card.type && cards.find(c => c.id === card.parentId)) || card;
+        const { audio, savedAt, ...vocab } = entry;
+        wordPopoverAddBtn.disabled = true;
+        const [created] = await createWordCards(parent, [vocab], { statusEl: wordPopoverStatusEl, keepCurrentCard: true });
+        // Reuse the pronunciation clip if the card's own audio failed.
+        if (created && !created.hasAudio && audio && cards.includes(created)) {
+            await putAudio(created.id, audio);
+            created.hasAudio = true;
+            await putCard(created);
+        }
+        if (popoverEntry === entry) {
+            wordPopoverStatusEl.textContent = 'Added as a word card.';
+            renderWordPopover();
+        }
+    });
+
+    // Any click outside closes it; capture runs before a new word opens it.
+    document.addEventListener('click', (e) => {
+        if (!wordPopover.classList.contains('hidden') && !wordPopover.contains(e.target)) hideWordPopover();
+    }, true);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideWordPopover();
     });
+    window.addEventListener('scroll', hideWordPopover, { passive: true });
 }
 
-// All card data will reside here after asynchronous initialisation.
-let cards = [];
+// ---- Decks & tags ----
 
-// Card currently displayed during study mode
-let currentCard = null;
-let currentReviewCard = null;
-let dragSrcId = null;
+const DEFAULT_DECK = 'Default';
 
-// Kick-off once everything is parsed. By placing this at the end of the file
-// we make sure all functions & event-listeners are already defined.
-(async function init() {
-    cards = await loadCards();
-    normalizeOrders();
-    saveCards(cards);
+function parseTags(text) {
+    const tags = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    return [...new Set(tags)];
+}
 
-    renderCardList();
-    renderReviewList();
+function getDeckNames() {
+    return [...new Set(cards.map(c => c.deck))].sort((a, b) => a.localeCompare(b));
+}
 
-    renderReviewList();
-    // Default landing view: Study section
-    startStudy();
-    reviewSection.classList.add("hidden");
-    addSection.classList.add('hidden');
-    studySection.classList.remove('hidden');
-})();
+function getTagNames() {
+    return [...new Set(cards.flatMap(c => c.tags))].sort((a, b) => a.localeCompare(b));
+}
 
-// ---- Navigation ----
-navAdd.addEventListener('click', () => {
-    reviewSection.classList.add("hidden");
-    stopAudio();
-    addSection.classList.remove('hidden');
-    studySection.classList.add('hidden');
-});
+// The deck / tag filter is shared by Test and Study and survives reloads.
+function cardMatchesFilter(card) {
+    if (settings.deckFilter && card.deck !== settings.deckFilter) return false;
+    if (settings.tagFilter && !card.tags.includes(settings.tagFilter)) return false;
+    return true;
+}
 
-navStudy.addEventListener('click', () => {
-    startStudy();
-    reviewSection.classList.add("hidden");
-    addSection.classList.add('hidden');
-    studySection.classList.remove('hidden');
-});
+function fillSelect(select, allLabel, values, selected) {
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = allLabel;
+    select.appendChild(all);
+    values.forEach(value => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = value;
+        select.appendChild(opt);
+    });
+    select.value = values.includes(selected) ? selected : '';
+}
 
-navReview.addEventListener("click", () => {
-    stopAudio();
-    stopReviewAudio();
-    addSection.classList.add("hidden");
-    studySection.classList.add("hidden");
-    reviewSection.classList.remove("hidden");
+/**
+ * Refresh the deck / tag pickers after cards were added, edited or removed.
+ * A filter pointing at a deck or tag that no longer exists is cleared.
+ */
+function renderDeckControls() {
+    const decks = getDeckNames();
+    const tags = getTagNames();
+    if (settings.deckFilter && !decks.includes(settings.deckFilter)) settings.deckFilter = '';
+    if (settings.tagFilter && !tags.includes(settings.tagFilter)) settings.tagFilter = '';
+
+    deckFilterSelects.forEach(select => fillSelect(select, 'All decks', decks, settings.deckFilter));
+    tagFilterSelects.forEach(select => fillSelect(select, 'All tags', tags, settings.tagFilter));
+
+    if (deckOptions) {
+        deckOptions.innerHTML = '';
+        decks.forEach(deck => {
+            const opt = document.createElement('option');
+            opt.value = deck;
+            deckOptions.appendChild(opt);
+        });
+    }
+    renderReverseDecks();
+}
+
+function applyCardFilter() {
+    saveSettings();
+    invalidateStudyQueue();
+    renderDeckControls();
     renderReviewList();
+    if (!studySection.classList.contains('hidden')) {
+        updateDueCount();
+        showNextCard();
+    }
+}
+
+deckFilterSelects.forEach(select => {
+    select.addEventListener('change', () => {
+        settings.deckFilter = select.value;
+        applyCardFilter();
+    });
 });
-navExport.addEventListener('click', () => {
-    const dataStr = 'data:text/json;charset=utf-8,' +
-        encodeURIComponent(JSON.stringify(cards, null, 2));
-    const dl = document.createElement('a');
-    dl.setAttribute('href', dataStr);
-    dl.setAttribute('download', 'flashcards.json');
-    dl.click();
+tagFilterSelects.forEach(select => {
+    select.addEventListener('change', () => {
+        settings.tagFilter = select.value;
+        applyCardFilter();
+    });
 });
 
-navImport.addEventListener('click', () => importFileInput.click());
+// ---- Daily limits & study queue ----
+//
+// Today's session lives in LocalStorage so a reload neither resets the daily
+// limits nor reshuffles the queue. It is rebuilt when the day changes, the
+// filter or limits change, or the queue runs dry.
 
-// ---- Skip Day ----
-if (skipDayBtn) {
-    skipDayBtn.addEventListener('click', () => {
-        skipOneDay();
-    });
+const SESSION_KEY = 'study_session';
+
+/**
+ * @typedef StudySession
+ * @property {string} day - local day key the session belongs to
+ * @property {string[]|null} queue - card ids still to show, null = rebuild
+ * @property {number} newDone - new cards introduced today
+ * @property {number} reviewsDone - review cards answered today
+ */
+
+function loadSession() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        if (stored && stored.day === dayKey(Date.now())) return stored;
+    } catch (err) {
+        console.error('Ignoring unreadable study session', err);
+    }
+    return { day: dayKey(Date.now()), queue: null, newDone: 0, reviewsDone: 0 };
 }
 
-function skipOneDay() {
-    const millisInDay = 24 * 60 * 60 * 1000;
-    cards.forEach((card) => {
-        card.nextReview -= millisInDay;
+function saveSession() {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+let session = loadSession();
+
+// A card that has never been rated.
+function isNewCard(card) {
+    return card.interval === 0 && !card.lastReview;
+}
+
+/**
+ * Spread `extra` evenly through `base`, e.g. 2 new cards among 8 reviews land
+ * at roughly the 1/3 and 2/3 marks instead of all at the end.
+ */
+function interleave(base, extra) {
+    if (extra.length === 0) return base;
+    const result = [];
+    const step = (base.length + 1) / (extra.length + 1);
+    let next = step;
+    let b = 0;
+    extra.forEach(item => {
+        while (b < base.length && b + 1 < next) result.push(base[b++]);
+        result.push(item);
+        next += step;
     });
-    saveCards(cards);
-    updateDueCount();
-    showNextCard();
+    return result.concat(base.slice(b));
+}
+
+/**
+ * Build today's queue from the due cards matching the filter, honouring the
+ * daily limits for new cards and reviews.
+ *
+ * @returns {string[]} card ids in study order
+ */
+function buildStudyQueue() {
+    const now = Date.now();
+    const due = cards.filter(c => c.nextReview <= now && cardMatchesFilter(c));
+    // Cards made from the same card give each other away (a reverse card
+    // and its source, cloze siblings), so a family gets one card a day.
+    const today = dayKey(now);
+    const taken = new Set(cards.filter(c => c.lastReview && dayKey(c.lastReview) === today).map(cardFamily));
+    const takeUpTo = (list, limit) => {
+        const picked = [];
+        for (const card of list) {
+            if (picked.length >= limit) break;
+            if (taken.has(cardFamily(card))) continue;
+            taken.add(cardFamily(card));
+            picked.push(card);
+        }
+        return picked;
+    };
+    const reviews = takeUpTo(due.filter(c => !isNewCard(c)).sort((a, b) => a.nextReview - b.nextReview),
+        Math.max(0, settings.reviewsPerDay - session.reviewsDone));
+    const fresh = takeUpTo(due.filter(isNewCard).sort((a, b) => a.order - b.order),
+        Math.max(0, settings.newPerDay - session.newDone));
+    return interleave(reviews.map(c => c.id), fresh.map(c => c.id));
+}
+
+// The card a derived card was made from, or the card itself.
+function cardFamily(card) {
+    return card.parentId || card.id;
+}
+
+// Start a new session at midnight; otherwise keep today's counters.
+function refreshSession() {
+    if (session.day !== dayKey(Date.now())) {
+        session = loadSession();
+    }
+}
+
+function invalidateStudyQueue() {
+    session.queue = null;
+    saveSession();
+}
+
+/**
+ * The next card to show, dropping ids that were deleted, rescheduled or
+ * filtered out since the queue was built.
+ *
+ * @returns {Flashcard|null}
+ */
+function nextQueuedCard() {
+    refreshSession();
+    if (!session.queue || session.queue.length === 0) {
+        session.queue = buildStudyQueue();
+    }
+    const now = Date.now();
+    while (session.queue.length > 0) {
+        const card = cards.find(c => c.id === session.queue[0]);
+        if (card && card.nextReview <= now && cardMatchesFilter(card)) break;
+        session.queue.shift();
+    }
+    saveSession();
+    return session.queue.length > 0 ? cards.find(c => c.id === session.queue[0]) : null;
+}
+
+// Count an answered card against today's limits and take it off the queue.
+function recordStudied(card, wasNew) {
+    refreshSession();
+    if (wasNew) {
+        session.newDone += 1;
+    } else {
+        session.reviewsDone += 1;
+    }
+    if (session.queue) session.queue = session.queue.filter(id => id !== card.id);
+    saveSession();
 }
 
-importFileInput.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-        try {
-            const imported = JSON.parse(ev.target.result);
-            if (Array.isArray(imported)) {
-                cards = imported.map((c, idx) => ({
-                    ...c,
-                    pinned: !!c.pinned,
-                    order: typeof c.order === 'number' ? c.order : idx
-                }));
-                normalizeOrders();
-                saveCards(cards);
-                renderCardList();
-                renderReviewList();
-                alert('Import successful!');
-            } else {
-                alert('Invalid file');
-            }
-        } catch (err) {
-            alert('Error parsing file');
+function bindLimitInput(input, key) {
+    if (!input) return;
+    input.value = settings[key];
+    input.addEventListener('change', () => {
+        const value = parseInt(input.value, 10);
+        if (!Number.isFinite(value) || value < 0) {
+            input.value = settings[key];
+            return;
         }
-    };
-    reader.readAsText(file);
-    // reset
-    importFileInput.value = '';
-});
+        settings[key] = value;
+        saveSettings();
+        invalidateStudyQueue();
+        updateDueCount();
+        showNextCard();
+    });
+}
 
-// ---- Add card ----
+bindLimitInput(newLimitInput, 'newPerDay');
+bindLimitInput(reviewLimitInput, 'reviewsPerDay');
 
-if (saveCardBtn) {
-    saveCardBtn.addEventListener('click', async () => {
-    const question = questionInput.value.trim();
-    const answer = answerInput.value.trim();
-    if (!question || !answer) return;
+// ---- Undo ----
+//
+// Every destructive action pushes the state it is about to overwrite. Undo
+// writes those snapshots back verbatim, so scheduling fields, order and pin
+// state come back exactly as they were.
 
-    const handleData = (audioData) => {
-        if (editingCardId) {
-            updateExistingCard(editingCardId, question, answer, audioData);
-        } else {
-            createCard(question, answer, audioData);
-        }
-    };
+const UNDO_LIMIT = 10;
 
-    const file = audioInput ? audioInput.files[0] : null;
-    let audioData = null;
+/**
+ * @typedef UndoEntry
+ * @property {string} label - shown in the toast, e.g. "Rated Good"
+ * @property {Flashcard[]} before - copies of every touched card
+ * @property {Promise<Object<string, Blob|null>>} [audio] - clips to restore (null = none)
+ * @property {Promise<number|null>} [reviewId] - review log entry to remove
+ * @property {StudySession} [session] - today's session before the action
+ */
 
-    if (file) {
-        try {
-            audioData = await new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                reader.onload = (ev) => resolve(ev.target.result);
-                reader.onerror = (err) => reject(err);
-                reader.readAsDataURL(file);
-            });
-        } catch (err) {
-            console.error('Error reading attached audio file', err);
-            alert('Failed to read attached audio file.');
-            return;
-        }
-    } else if (generatedAudioData) {
-        audioData = generatedAudioData;
-        generatedAudioData = null;
-    } else if (editingCardId) {
-        const existing = cards.find(c => c.id === editingCardId);
-        audioData = existing ? existing.audioData : null;
-    }
+/** @type {UndoEntry[]} */
+const undoStack = [];
 
-    handleData(audioData);
-});
+function snapshotCards(list) {
+    return list.map(card => structuredClone(card));
 }
 
-function createCard(question, answer, audioData) {
-    const maxOrder = cards.reduce((m, c) => Math.max(m, typeof c.order === 'number' ? c.order : -1), -1);
-    const card = {
-        id: Date.now().toString(36) + Math.random().toString(36).slice(2),
-        question,
-        answer,
-        audioData, // base64 or null
-        interval: 0,
-        repetitions: 0,
-        easeFactor: 2.5,
-        nextReview: Date.now(),
-        pinned: false,
-        order: maxOrder + 1
-    };
-    cards.push(card);
-    normalizeOrders();
-    saveCards(cards);
+function pushUndo(label, entry) {
+    undoStack.push({ label, ...entry });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    showUndoToast(label);
+}
 
-    // reset form
-    if (promptInput) promptInput.value = '';
-    questionInput.value = '';
-    answerInput.value = '';
-    if (audioInput) audioInput.value = '';
+function showUndoToast(label) {
+    if (!undoToast) return;
+    undoMessageEl.textContent = label;
+    undoToast.classList.remove('hidden');
+    clearTimeout(showUndoToast._timer);
+    showUndoToast._timer = setTimeout(hideUndoToast, 6000);
+}
 
-    showSavedStatus('Card saved!');
+function hideUndoToast() {
+    if (undoToast) undoToast.classList.add('hidden');
+}
 
+// Re-render whatever may show the restored cards.
+function refreshCardViews() {
+    renderDeckControls();
     renderCardList();
     renderReviewList();
-    renderReviewList();
+    updateDueCount();
+    if (!studySection.classList.contains('hidden')) showNextCard();
 }
 
-function updateExistingCard(id, question, answer, audioData) {
-    const card = cards.find(c => c.id === id);
-    if (!card) return;
-
-    card.question = question;
-    card.answer = answer;
-    if (audioData !== undefined) card.audioData = audioData;
-
-    saveCards(cards);
-
-    editingCardId = null;
-    saveCardBtn.textContent = 'Save Card';
-    cancelEditBtn.classList.add('hidden');
+async function undoLast() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    hideUndoToast();
 
-    // reset form inputs
-    questionInput.value = '';
-    answerInput.value = '';
-    if (audioInput) audioInput.value = '';
+    entry.before.forEach(snapshot => {
+        const idx = cards.findIndex(c => c.id === snapshot.id);
+        if (idx === -1) {
+            cards.push(snapshot);
+        } else {
+            cards[idx] = snapshot;
+        }
+    });
+    if (currentReviewCard) currentReviewCard = cards.find(c => c.id === currentReviewCard.id) || null;
+    await putCards(entry.before);
+
+    if (entry.audio) {
+        const clips = await entry.audio;
+        for (const [id, blob] of Object.entries(clips)) {
+            if (blob) {
+                await putAudio(id, blob);
+            } else {
+                await deleteAudio(id);
+            }
+        }
+    }
+    if (entry.reviewId) {
+        const reviewId = await entry.reviewId;
+        if (reviewId !== null) deleteReview(reviewId);
+    }
+    // A session from before midnight no longer applies.
+    if (entry.session && entry.session.day === dayKey(Date.now())) {
+        session = entry.session;
+        saveSession();
+    }
 
-    showSavedStatus('Card updated!');
+    syncReverseCards();
+    refreshCardViews();
+}
 
-    renderCardList();
-    renderReviewList();
+if (undoBtn) {
+    undoBtn.addEventListener('click', undoLast);
 }
 
+// Ctrl+Z / ⌘Z, except while typing where the browser's own text undo applies.
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== 'z') return;
+    const el = document.activeElement;
+    if (el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable)) return;
+    e.preventDefault();
+    undoLast();
+});
+
 // ---- Study flow ----
 
 function startStudy() {
@@ -1047,37 +5790,73 @@ function startStudy() {
 }
 
 function updateDueCount() {
-    const dueCards = cards.filter((c) => c.nextReview <= Date.now());
-    dueCountEl.textContent = `Cards due: ${dueCards.length}`;
+    const now = Date.now();
+    const dueCards = cards.filter((c) => c.nextReview <= now && cardMatchesFilter(c));
+    refreshSession();
+    const newLeft = Math.max(0, settings.newPerDay - session.newDone);
+    const reviewsLeft = Math.max(0, settings.reviewsPerDay - session.reviewsDone);
+    dueCountEl.textContent = `Cards due: ${dueCards.length} (today: ${newLeft} new, ${reviewsLeft} reviews left)`;
+
+    if (deckDueCountsEl) {
+        const decks = getDeckNames();
+        // Only worth listing when there is more than one deck to compare.
+        deckDueCountsEl.textContent = decks.length > 1
+            ? decks.map(deck => `${deck}: ${cards.filter(c => c.deck === deck && c.nextReview <= now).length}`).join(' · ')
+            : '';
+    }
 }
 
 function showNextCard() {
     revealArea.classList.add('hidden');
+    revealArea.classList.remove('dictation-graded');
     noDueEl.classList.add('hidden');
     cardBox.classList.add('hidden');
     showAnswerBtn.classList.remove('hidden');
 
     // stop any previous looping audio
     stopAudio();
+    hideWordPopover();
 
-    const dueCards = cards.filter((c) => c.nextReview <= Date.now());
-    if (dueCards.length === 0) {
+    const next = nextQueuedCard();
+    if (!next) {
+        currentCard = null;
         noDueEl.classList.remove('hidden');
         return;
     }
 
-    currentCard = dueCards.sort((a, b) => a.nextReview - b.nextReview)[0];
-    cardQuestionEl.textContent = currentCard.question;
-    cardAnswerEl.textContent = currentCard.answer;
+    currentCard = next;
+    currentCardShownAt = Date.now();
+    studySentences.show(currentCard);
+    studyShadowing.show(currentCard);
+    cardAnswerEl.textContent = currentCard.type === 'reverse' ? currentCard.question : currentCard.answer;
+    setupDictation(currentCard);
+    updateIntervalPreviews(currentCard);
+
+    if (isDerivedCard(currentCard)) {
+        // The clip would give the answer away – the English of a reverse
+        // card, the blanked phrase of a cloze – so it starts with the reveal.
+        releaseCardAudio(cardAudio);
+        [audioToggleBtn, rewindBtn, restartBtn, speedToggleBtn].forEach(btn => {
+            if (btn) btn.classList.add('hidden');
+        });
+    } else {
+        startStudyAudio();
+    }
 
-    if (currentCard.audioData) {
-        cardAudio.src = currentCard.audioData;
-        cardAudio.load();
+    cardBox.classList.remove('hidden');
+}
 
-        cardAudio.playbackRate = fastPlayback ? 1.2 : 1;
+// Play the current card's clip (or offline voice) on a loop and show the controls.
+function startStudyAudio() {
+    if (cardHasAudio(currentCard)) {
+        loadCardAudio(cardAudio, currentCard).then((loaded) => {
+            if (!loaded) return;
+            cardAudio.playbackRate = fastPlayback ? 1.2 : 1;
+            studySentences.align();
 
-        setupAudioLooping();
-        cardAudio.play().catch(() => {/* autoplay might be blocked */});
+            setupAudioLooping();
+            cardAudio.play().catch(() => {/* autoplay might be blocked */});
+        });
         if (audioToggleBtn) {
             audioToggleBtn.classList.remove('hidden');
             audioToggleBtn.textContent = '▶️';
@@ -1093,29 +5872,89 @@ function showNextCard() {
             speedToggleBtn.textContent = fastPlayback ? '1.2x' : '1x';
         }
     } else {
-        cardAudio.removeAttribute('src');
-        cardAudio.load();
+        // No clip: read it with the offline voice when the browser can.
+        // Speech cannot seek, so only rewind stays hidden.
+        releaseCardAudio(cardAudio);
+        if (speechSupported) speakStudyCard();
         if (audioToggleBtn) {
-            audioToggleBtn.classList.add('hidden');
+            audioToggleBtn.classList.toggle('hidden', !speechSupported);
         }
         if (rewindBtn) {
             rewindBtn.classList.add('hidden');
         }
         if (restartBtn) {
-            restartBtn.classList.add('hidden');
+            restartBtn.classList.toggle('hidden', !speechSupported);
         }
         if (speedToggleBtn) {
-            speedToggleBtn.classList.add('hidden');
+            speedToggleBtn.classList.toggle('hidden', !speechSupported);
         }
     }
-
-    cardBox.classList.remove('hidden');
 }
 
 function revealAnswer() {
+    const wasHidden = revealArea.classList.contains('hidden');
     revealArea.classList.remove('hidden');
     showAnswerBtn.classList.add('hidden');
+    if (!currentCard) return;
+    if (currentCard.type === 'cloze') renderClozeQuestion(cardQuestionEl, currentCard, true);
+    if (isDerivedCard(currentCard) && wasHidden) {
+        studyShadowing.reveal();
+        startStudyAudio();
+    }
+}
+
+// ---- Dictation ----
+// The learner hears the card without seeing the English, types it, and the
+// typed text is graded against the card. A card with nothing to listen to
+// (no clip and no offline voice) is shown as a normal reading card.
+
+let dictationGrade = null; // grade worked out by the last check
+
+function setupDictation(card) {
+    const dictation = settings.testMode === 'dictation' && card.type !== 'cloze' && card.type !== 'reverse' &&
+        (cardHasAudio(card) || speechSupported);
+    dictationGrade = null;
+    cardQuestionEl.classList.toggle('hidden', dictation);
+    showAnswerBtn.classList.toggle('hidden', dictation);
+    if (!dictationArea) return;
+    dictationArea.classList.toggle('hidden', !dictation);
+    dictationResult.classList.add('hidden');
+    dictationInput.value = '';
+    dictationInput.disabled = false;
+    dictationCheckBtn.classList.remove('hidden');
+    if (dictation) dictationInput.focus();
 }
+
+function checkDictation() {
+    if (!currentCard || dictationGrade) return;
+    const { ops, accuracy } = diffWords(currentCard.question, dictationInput.value);
+    dictationGrade = gradeFromAccuracy(accuracy);
+    renderWordDiff(dictationDiffEl, ops, { typed: true });
+    dictationScoreEl.textContent = `${Math.round(accuracy * 100)}% of the words right`;
+    dictationNextBtn.textContent = `Continue – rated ${dictationGrade[0].toUpperCase()}${dictationGrade.slice(1)}`;
+    dictationResult.classList.remove('hidden');
+    dictationCheckBtn.classList.add('hidden');
+    dictationInput.disabled = true;
+    // Show the English and the Chinese now; the rating comes from the score.
+    cardQuestionEl.classList.remove('hidden');
+    revealArea.classList.add('dictation-graded');
+    revealAnswer();
+    dictationNextBtn.focus();
+}
+
+if (dictationArea) {
+    dictationCheckBtn.addEventListener('click', checkDictation);
+    dictationInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            checkDictation();
+        }
+    });
+    dictationNextBtn.addEventListener('click', () => {
+        if (dictationGrade) rateCurrentCard(dictationGrade);
+    });
+}
+
 function openReviewCard(id) {
     const card = cards.find(c => c.id === id);
     if (!card) return;
@@ -1128,26 +5967,30 @@ function openReviewCard(id) {
     reviewRevealArea.classList.add("hidden");
     reviewShowAnswerBtn.classList.remove("hidden");
     stopReviewAudio();
-    reviewCardQuestionEl.textContent = card.question;
+    hideWordPopover();
+    reviewSentences.show(card);
+    reviewShadowing.show(card);
     reviewCardAnswerEl.textContent = card.answer;
-    if (card.audioData) {
-        reviewAudio.src = card.audioData;
-        reviewAudio.load();
-        reviewAudio.playbackRate = fastPlayback ? 1.2 : 1;
-        setupReviewAutoAdvance();
-        reviewAudio.play().catch(() => {});
+    if (cardHasAudio(card)) {
+        loadCardAudio(reviewAudio, card).then((loaded) => {
+            if (!loaded) return;
+            reviewAudio.playbackRate = fastPlayback ? 1.2 : 1;
+            reviewSentences.align();
+            setupReviewAutoAdvance();
+            reviewAudio.play().catch(() => {});
+        });
         reviewAudioToggleBtn.classList.remove("hidden");
         reviewRewindBtn.classList.remove("hidden");
         reviewRestartBtn.classList.remove("hidden");
         reviewSpeedToggleBtn.classList.remove("hidden");
         reviewSpeedToggleBtn.textContent = fastPlayback ? "1.2x" : "1x";
     } else {
-        reviewAudio.removeAttribute("src");
-        reviewAudio.load();
-        reviewAudioToggleBtn.classList.add("hidden");
+        releaseCardAudio(reviewAudio);
+        if (speechSupported) speakReviewCard();
+        reviewAudioToggleBtn.classList.toggle("hidden", !speechSupported);
         reviewRewindBtn.classList.add("hidden");
-        reviewRestartBtn.classList.add("hidden");
-        reviewSpeedToggleBtn.classList.add("hidden");
+        reviewRestartBtn.classList.toggle("hidden", !speechSupported);
+        reviewSpeedToggleBtn.classList.toggle("hidden", !speechSupported);
     }
     reviewCardBox.classList.remove("hidden");
 }
@@ -1155,15 +5998,31 @@ function openReviewCard(id) {
 function revealReviewAnswer() {
     reviewRevealArea.classList.remove("hidden");
     reviewShowAnswerBtn.classList.add("hidden");
+    reviewShadowing.reveal();
 }
 
 
 // Reveal answer via question click or explicit button
-cardQuestionEl.addEventListener('click', revealAnswer);
+// (A tap that looked a word up is marked with preventDefault and skipped.)
+cardQuestionEl.addEventListener('click', (e) => {
+    if (!e.defaultPrevented) revealAnswer();
+});
 showAnswerBtn.addEventListener('click', revealAnswer);
 // Toggle play/stop for audio
 if (audioToggleBtn) {
     audioToggleBtn.addEventListener('click', () => {
+        if (currentCard && !cardHasAudio(currentCard)) {
+            clearTimeout(audioLoopTimeout);
+            audioLoopTimeout = null;
+            studySentences.stop();
+            if (isSpeaking()) {
+                stopSpeaking();
+                audioToggleBtn.textContent = '▶️';
+            } else {
+                speakStudyCard();
+            }
+            return;
+        }
         if (cardAudio.paused) {
             // Resume playback from current position
             setupAudioLooping();
@@ -1194,6 +6053,13 @@ if (rewindBtn) {
 // Restart button (jump to beginning)
 if (restartBtn) {
     restartBtn.addEventListener('click', () => {
+        if (currentCard && !cardHasAudio(currentCard)) {
+            clearTimeout(audioLoopTimeout);
+            audioLoopTimeout = null;
+            studySentences.stop();
+            speakStudyCard();
+            return;
+        }
         if (!cardAudio.duration) return;
         cardAudio.currentTime = 0;
         if (!cardAudio.paused) {
@@ -1205,29 +6071,67 @@ if (restartBtn) {
 // Playback speed toggle (1x / 1.2x)
 if (speedToggleBtn) {
     speedToggleBtn.addEventListener('click', () => {
-        fastPlayback = !fastPlayback;
-        cardAudio.playbackRate = fastPlayback ? 1.2 : 1;
-        speedToggleBtn.textContent = fastPlayback ? '1.2x' : '1x';
+        setFastPlayback(!fastPlayback);
     });
 }
 
 // rating buttons
+// The two-button row carries grades too: Easy → good, Hard → again.
 ratingButtons.forEach((btn) => {
-    btn.addEventListener('click', () => {
-        const value = btn.dataset.rating;
-        if (!currentCard) return;
-        const isEasy = value === 'easy';
-        processRatingBinary(currentCard, isEasy);
-        saveCards(cards);
-        updateDueCount();
-        showNextCard();
-    });
+    btn.addEventListener('click', () => rateCurrentCard(btn.dataset.rating));
 });
 
-reviewCardQuestionEl.addEventListener("click", revealReviewAnswer);
+/**
+ * Rate the card shown in the Test view, log it and move on.
+ *
+ * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+ */
+function rateCurrentCard(grade) {
+    if (!currentCard) return;
+    const prevInterval = currentCard.interval;
+    const prevEase = currentCard.easeFactor;
+    const wasNew = isNewCard(currentCard);
+    const undo = { before: snapshotCards([currentCard]), session: structuredClone(session) };
+    const now = Date.now();
+    rateCard(currentCard, grade, now);
+    putCard(currentCard);
+    recordStudied(currentCard, wasNew);
+    undo.reviewId = logReview({
+        cardId: currentCard.id,
+        timestamp: now,
+        rating: grade,
+        scheduler: currentCard.scheduler,
+        prevInterval,
+        newInterval: currentCard.interval,
+        prevEase,
+        newEase: currentCard.easeFactor,
+        stability: currentCard.scheduler === 'fsrs' ? currentCard.stability : undefined,
+        difficulty: currentCard.scheduler === 'fsrs' ? currentCard.difficulty : undefined,
+        timeSpent: now - currentCardShownAt
+    });
+    pushUndo(`Rated ${grade[0].toUpperCase()}${grade.slice(1)}`, undo);
+    updateDueCount();
+    showNextCard();
+}
+
+reviewCardQuestionEl.addEventListener("click", (e) => {
+    if (!e.defaultPrevented) revealReviewAnswer();
+});
 reviewShowAnswerBtn.addEventListener("click", revealReviewAnswer);
 if (reviewAudioToggleBtn) {
     reviewAudioToggleBtn.addEventListener("click", () => {
+        if (currentReviewCard && !cardHasAudio(currentReviewCard)) {
+            clearTimeout(reviewAudioAdvanceTimeout);
+            reviewAudioAdvanceTimeout = null;
+            reviewSentences.stop();
+            if (isSpeaking()) {
+                stopSpeaking();
+                reviewAudioToggleBtn.textContent = "▶️";
+            } else {
+                speakReviewCard();
+            }
+            return;
+        }
         if (reviewAudio.paused) {
             clearTimeout(reviewAudioAdvanceTimeout);
             reviewAudioAdvanceTimeout = null;
@@ -1258,6 +6162,13 @@ if (reviewRewindBtn) {
 }
 if (reviewRestartBtn) {
     reviewRestartBtn.addEventListener("click", () => {
+        if (currentReviewCard && !cardHasAudio(currentReviewCard)) {
+            clearTimeout(reviewAudioAdvanceTimeout);
+            reviewAudioAdvanceTimeout = null;
+            reviewSentences.stop();
+            speakReviewCard();
+            return;
+        }
         if (!reviewAudio.duration) return;
         clearTimeout(reviewAudioAdvanceTimeout);
         reviewAudioAdvanceTimeout = null;
@@ -1269,58 +6180,457 @@ if (reviewRestartBtn) {
 }
 if (reviewSpeedToggleBtn) {
     reviewSpeedToggleBtn.addEventListener("click", () => {
-        fastPlayback = !fastPlayback;
-        reviewAudio.playbackRate = fastPlayback ? 1.2 : 1;
-        reviewSpeedToggleBtn.textContent = fastPlayback ? "1.2x" : "1x";
+        setFastPlayback(!fastPlayback);
+    });
+}
+// ---- Statistics dashboard ----
+
+const MILLIS_IN_DAY = 24 * 60 * 60 * 1000;
+
+// Local calendar day key ("2024-05-31") so days roll over at local midnight.
+function dayKey(ts) {
+    const d = new Date(ts);
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function startOfDay(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+// A rating counts as "remembered" for retention purposes.
+function isPassingRating(rating) {
+    return rating !== 'again';
+}
+
+/**
+ * Count of review log entries per local day.
+ *
+ * @param {ReviewLogEntry[]} reviews
+ * @returns {Map<string, number>}
+ */
+function countReviewsByDay(reviews) {
+    const counts = new Map();
+    reviews.forEach(r => {
+        const key = dayKey(r.timestamp);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Number of consecutive days up to today with at least one review. If today
+ * has no reviews yet the streak is still alive when yesterday had some.
+ */
+function computeStreak(countsByDay) {
+    let day = startOfDay(Date.now());
+    if (!countsByDay.has(dayKey(day))) day -= MILLIS_IN_DAY;
+    let streak = 0;
+    while (countsByDay.has(dayKey(day))) {
+        streak += 1;
+        // step back via Date to stay correct across DST changes
+        const d = new Date(day);
+        d.setDate(d.getDate() - 1);
+        day = d.getTime();
+    }
+    return streak;
+}
+
+/**
+ * Due-card counts for today (including overdue) and each of the following
+ * `days - 1` days, derived from every card's `nextReview`.
+ */
+function computeForecast(days) {
+    const today = startOfDay(Date.now());
+    const buckets = new Array(days).fill(0);
+    cards.forEach(card => {
+        const idx = Math.max(0, Math.floor((startOfDay(card.nextReview) - today) / MILLIS_IN_DAY));
+        if (idx < days) buckets[idx] += 1;
+    });
+    return buckets;
+}
+
+function renderBarChart(container, values, { labels = [], highlightIndex = -1, max, unit = '' } = {}) {
+    if (!container) return;
+    container.innerHTML = '';
+    const top = max || Math.max(...values, 0);
+    if (top === 0) {
+        const empty = document.createElement('span');
+        empty.className = 'empty';
+        empty.textContent = 'No data yet.';
+        container.appendChild(empty);
+        return;
+    }
+    values.forEach((value, idx) => {
+        const bar = document.createElement('div');
+        bar.className = 'bar' + (idx === highlightIndex ? ' today' : '');
+        bar.style.height = `${(value / top) * 100}%`;
+        bar.title = labels[idx] ? `${labels[idx]}: ${value}${unit}` : `${value}${unit}`;
+        container.appendChild(bar);
+    });
+}
+
+function renderHeatmap(container, countsByDay, weeks = 26) {
+    if (!container) return;
+    container.innerHTML = '';
+    // Start on the Sunday `weeks` weeks ago so each column is one week.
+    const start = new Date(startOfDay(Date.now()));
+    start.setDate(start.getDate() - start.getDay() - (weeks - 1) * 7);
+    const today = startOfDay(Date.now());
+    for (const d = start; d.getTime() <= today; d.setDate(d.getDate() + 1)) {
+        const key = dayKey(d.getTime());
+        const count = countsByDay.get(key) || 0;
+        const cell = document.createElement('div');
+        let level = 0;
+        if (count > 0) level = count < 5 ? 1 : count < 10 ? 2 : count < 20 ? 3 : 4;
+        cell.className = 'cell' + (level ? ` level-${level}` : '');
+        cell.title = `${key}: ${count} review${count === 1 ? '' : 's'}`;
+        container.appendChild(cell);
+    }
+}
+
+async function renderStats() {
+    const reviews = await loadReviews();
+    const countsByDay = countReviewsByDay(reviews);
+    const now = Date.now();
+
+    // Reviews per day for the last 30 days (oldest → today)
+    const dayLabels = [];
+    const perDay = [];
+    for (let i = 29; i >= 0; i--) {
+        const d = new Date(startOfDay(now));
+        d.setDate(d.getDate() - i);
+        const key = dayKey(d.getTime());
+        dayLabels.push(key);
+        perDay.push(countsByDay.get(key) || 0);
+    }
+    renderBarChart(document.getElementById('stats-reviews-chart'), perDay, { labels: dayLabels, highlightIndex: 29 });
+
+    // Retention per week for the last 12 weeks, as a percentage
+    const weekRetention = [];
+    const weekLabels = [];
+    for (let w = 11; w >= 0; w--) {
+        const end = startOfDay(now) + MILLIS_IN_DAY - w * 7 * MILLIS_IN_DAY;
+        const begin = end - 7 * MILLIS_IN_DAY;
+        const inWeek = reviews.filter(r => r.timestamp >= begin && r.timestamp < end);
+        const passed = inWeek.filter(r => isPassingRating(r.rating)).length;
+        weekRetention.push(inWeek.length ? Math.round((passed / inWeek.length) * 100) : 0);
+        weekLabels.push(`Week of ${dayKey(begin)} (${inWeek.length} reviews)`);
+    }
+    renderBarChart(document.getElementById('stats-retention-chart'), weekRetention, { labels: weekLabels, highlightIndex: 11, max: 100, unit: '%' });
+
+    // Forecast
+    const forecast = computeForecast(30);
+    const forecastLabels = forecast.map((_, idx) => {
+        const d = new Date(startOfDay(now));
+        d.setDate(d.getDate() + idx);
+        return dayKey(d.getTime());
     });
+    renderBarChart(document.getElementById('stats-forecast-chart'), forecast, { labels: forecastLabels, highlightIndex: 0 });
+
+    renderHeatmap(document.getElementById('stats-heatmap'), countsByDay);
+
+    // Summary tiles
+    const recent = reviews.filter(r => r.timestamp >= now - 30 * MILLIS_IN_DAY);
+    const recentPassed = recent.filter(r => isPassingRating(r.rating)).length;
+    document.getElementById('stats-streak').textContent = computeStreak(countsByDay);
+    document.getElementById('stats-today').textContent = countsByDay.get(dayKey(now)) || 0;
+    document.getElementById('stats-retention').textContent = recent.length
+        ? `${Math.round((recentPassed / recent.length) * 100)}%`
+        : '–';
+    document.getElementById('stats-total').textContent = cards.length;
+}
+
+// ---- Scheduling ----
+//
+// A scheduler turns a grade into the card's next interval. The rating
+// handler only talks to `getScheduler()`, so SM-2 and FSRS are
+// interchangeable; `card.scheduler` records which one owns the card's
+// current state so it can be migrated when the user switches.
+//
+// Grades are always one of 'again' | 'hard' | 'good' | 'easy'.
+
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+const SM2_MAX_EASE = 2.5;       // binary mode never grows ease past the start
+const SM2_FIRST_INTERVAL = 1;   // days
+const SM2_SECOND_INTERVAL = 6;  // days, classic SM-2
+const SM2_BINARY_SECOND_INTERVAL = 3; // days, gentler step for easy / hard
+const SM2_BINARY_EASE_STEP = 0.05;
+const SM2_BINARY_EASE_PENALTY = 0.15;
+// Four-button grades mapped onto SM-2's 0–5 quality scale.
+const SM2_GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+// Classic SM-2 gives every passing grade the same interval; these spread
+// Hard / Good / Easy apart (Anki-style).
+const SM2_HARD_FACTOR = 1.2;
+const SM2_EASY_BONUS = 1.3;
+const SM2_EASY_FIRST_INTERVAL = 4; // days
+
+/**
+ * The next interval for a passing grade. Hard grows the interval a little
+ * (never shrinking it), Good by the ease factor and Easy by ease × bonus.
+ *
+ * @param {Flashcard} card - before the rating is applied
+ * @param {number} quality - 3 (hard), 4 (good) or 5 (easy)
+ * @returns {number} days
+ */
+function sm2PassInterval(card, quality) {
+    if (card.repetitions === 0) {
+        return quality >= 5 ? SM2_EASY_FIRST_INTERVAL : SM2_FIRST_INTERVAL;
+    }
+    const hard = Math.max(card.interval + 1, Math.round(card.interval * SM2_HARD_FACTOR));
+    const good = card.repetitions === 1
+        ? Math.max(SM2_SECOND_INTERVAL, hard)
+        : Math.max(Math.round(card.interval * card.easeFactor), hard);
+    const easy = Math.max(good + 1, Math.round(good * SM2_EASY_BONUS));
+    if (quality <= 3) return hard;
+    return quality === 4 ? good : easy;
 }
+
 // SM-2 algorithm implementation
-function processRating(card, quality) {
+function processRating(card, quality, now = Date.now()) {
     // Quality 0-5
     if (quality < 3) {
         card.repetitions = 0;
-        card.interval = 1;
+        card.interval = SM2_FIRST_INTERVAL;
     } else {
-        if (card.repetitions === 0) {
-            card.interval = 1;
-        } else if (card.repetitions === 1) {
-            card.interval = 6;
-        } else {
-            card.interval = Math.round(card.interval * card.easeFactor);
-        }
+        card.interval = sm2PassInterval(card, quality);
         card.repetitions += 1;
 
         // Update Ease Factor
-        card.easeFactor = Math.max(1.3, card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        card.easeFactor = Math.max(SM2_MIN_EASE, card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
     }
     // set next review date
-    const millisInDay = 24 * 60 * 60 * 1000;
-    card.nextReview = Date.now() + card.interval * millisInDay;
+    card.nextReview = now + card.interval * MILLIS_IN_DAY;
 }
 
 // Simplified 2-option algorithm (easy / hard)
-function processRatingBinary(card, isEasy) {
-    const millisInDay = 24 * 60 * 60 * 1000;
-
+function processRatingBinary(card, isEasy, now = Date.now()) {
     if (!isEasy) {
         // Hard: reset learning cycle.
         card.repetitions = 0;
-        card.interval = 1;
-        card.easeFactor = Math.max(1.3, card.easeFactor - 0.15);
+        card.interval = SM2_FIRST_INTERVAL;
+        card.easeFactor = Math.max(SM2_MIN_EASE, card.easeFactor - SM2_BINARY_EASE_PENALTY);
     } else {
         // Easy: grow interval.
         if (card.repetitions === 0) {
-            card.interval = 1;
+            card.interval = SM2_FIRST_INTERVAL;
         } else if (card.repetitions === 1) {
-            card.interval = 3;
+            card.interval = SM2_BINARY_SECOND_INTERVAL;
         } else {
             card.interval = Math.round(card.interval * card.easeFactor);
         }
         card.repetitions += 1;
-        card.easeFactor = Math.min(card.easeFactor + 0.05, 2.5);
+        card.easeFactor = Math.min(card.easeFactor + SM2_BINARY_EASE_STEP, SM2_MAX_EASE);
+    }
+
+    card.nextReview = now + card.interval * MILLIS_IN_DAY;
+}
+
+// FSRS-4.5 default parameters and forgetting-curve constants.
+const FSRS_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_GRADE_VALUE = { again: 1, hard: 2, good: 3, easy: 4 };
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Probability of recall after `elapsedDays` for a memory of `stability` days.
+function fsrsRetrievability(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+}
+
+// Days until retrievability drops to the desired retention.
+function fsrsIntervalFor(stability, desiredRetention) {
+    const days = stability / FSRS_FACTOR * (Math.pow(desiredRetention, 1 / FSRS_DECAY) - 1);
+    return Math.max(1, Math.round(days));
+}
+
+function fsrsInitialDifficulty(g) {
+    return clamp(FSRS_WEIGHTS[4] - (g - 3) * FSRS_WEIGHTS[5], 1, 10);
+}
+
+/**
+ * FSRS-style memory model: each card carries `stability` (days until recall
+ * probability falls to 90%) and `difficulty` (1–10), both updated from the
+ * grade and from how much the card had been forgotten when it was reviewed.
+ */
+function processRatingFsrs(card, grade, now = Date.now()) {
+    const w = FSRS_WEIGHTS;
+    const g = FSRS_GRADE_VALUE[grade];
+
+    if (typeof card.stability !== 'number' || typeof card.difficulty !== 'number') {
+        card.stability = w[g - 1];
+        card.difficulty = fsrsInitialDifficulty(g);
+    } else {
+        const elapsed = Math.max(0, (now - (card.lastReview || now)) / MILLIS_IN_DAY);
+        const r = fsrsRetrievability(elapsed, card.stability);
+        const d = card.difficulty;
+        const s = card.stability;
+
+        if (g === 1) {
+            card.stability = Math.min(s, w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
+        } else {
+            const hardPenalty = g === 2 ? w[15] : 1;
+            const easyBonus = g === 4 ? w[16] : 1;
+            card.stability = s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+                (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+        }
+        // Mean-revert towards the default difficulty so it can't get stuck.
+        const nextD = d - w[6] * (g - 3);
+        card.difficulty = clamp(w[7] * fsrsInitialDifficulty(3) + (1 - w[7]) * nextD, 1, 10);
+    }
+
+    card.repetitions = g === 1 ? 0 : card.repetitions + 1;
+    card.interval = g === 1 ? SM2_FIRST_INTERVAL : fsrsIntervalFor(card.stability, settings.desiredRetention);
+    card.nextReview = now + card.interval * MILLIS_IN_DAY;
+}
+
+/**
+ * @typedef Scheduler
+ * @property {string} id
+ * @property {string} label
+ * @property {(card: Flashcard, grade: string, now: number) => void} rate
+ * @property {(card: Flashcard) => void} adopt - convert another scheduler's state in place
+ */
+
+/** @type {Record<string, Scheduler>} */
+const SCHEDULERS = {
+    sm2: {
+        id: 'sm2',
+        label: 'SM-2 (classic)',
+        rate(card, grade, now) {
+            if (settings.ratingMode === 'two') {
+                processRatingBinary(card, grade !== 'again', now);
+            } else {
+                processRating(card, SM2_GRADE_QUALITY[grade], now);
+            }
+        },
+        adopt(card) {
+            if (typeof card.difficulty === 'number') {
+                // difficulty 5 ≈ starting ease, 10 ≈ minimum ease
+                card.easeFactor = clamp(SM2_INITIAL_EASE - (card.difficulty - 5) * (SM2_INITIAL_EASE - SM2_MIN_EASE) / 5, SM2_MIN_EASE, SM2_MAX_EASE);
+            }
+            if (typeof card.easeFactor !== 'number') card.easeFactor = SM2_INITIAL_EASE;
+        }
+    },
+    fsrs: {
+        id: 'fsrs',
+        label: 'FSRS (adaptive)',
+        rate(card, grade, now) {
+            processRatingFsrs(card, grade, now);
+        },
+        adopt(card) {
+            if (card.repetitions === 0 && !card.lastReview) {
+                // Never reviewed: let the first grade seed the memory state.
+                delete card.stability;
+                delete card.difficulty;
+                return;
+            }
+            // An SM-2 interval was scheduled for ~90% recall, which is exactly
+            // what FSRS stability means.
+            card.stability = Math.max(card.interval || 0, 0.5);
+            card.difficulty = clamp(5 + (SM2_INITIAL_EASE - (card.easeFactor || SM2_INITIAL_EASE)) * 5 / (SM2_INITIAL_EASE - SM2_MIN_EASE), 1, 10);
+        }
+    }
+};
+
+function getScheduler() {
+    return SCHEDULERS[settings.scheduler] || SCHEDULERS.sm2;
+}
+
+/**
+ * Make sure every card's scheduling state belongs to the active scheduler.
+ *
+ * @returns {Flashcard[]} the cards that were converted
+ */
+function migrateCardsToScheduler(scheduler) {
+    const changed = [];
+    cards.forEach(card => {
+        if ((card.scheduler || 'sm2') === scheduler.id) return;
+        if (!card.lastReview && card.repetitions > 0) {
+            card.lastReview = card.nextReview - card.interval * MILLIS_IN_DAY;
+        }
+        scheduler.adopt(card);
+        card.scheduler = scheduler.id;
+        changed.push(card);
+    });
+    return changed;
+}
+
+/**
+ * Apply a grade to a card with the active scheduler and stamp the review time.
+ */
+function rateCard(card, grade, now = Date.now()) {
+    const scheduler = getScheduler();
+    if ((card.scheduler || 'sm2') !== scheduler.id) {
+        scheduler.adopt(card);
+        card.scheduler = scheduler.id;
     }
+    scheduler.rate(card, grade, now);
+    card.lastReview = now;
+}
+
+/**
+ * Interval (days) a grade would produce, computed on a throw-away copy so the
+ * real card is untouched.
+ */
+function previewInterval(card, grade, now = Date.now()) {
+    const copy = { ...card };
+    rateCard(copy, grade, now);
+    return copy.interval;
+}
+
+function formatInterval(days) {
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30 * 10) / 10}mo`;
+    return `${Math.round(days / 365 * 10) / 10}y`;
+}
+
+// Show which rating row is active and label its buttons with "· 6d" previews.
+function updateIntervalPreviews(card) {
+    const twoButtons = settings.ratingMode === 'two';
+    if (ratingButtonsFour) ratingButtonsFour.classList.toggle('hidden', twoButtons);
+    if (ratingButtonsTwo) ratingButtonsTwo.classList.toggle('hidden', !twoButtons);
+    if (!card) return;
+    const now = Date.now();
+    ratingButtons.forEach(btn => {
+        const preview = btn.querySelector('.interval-preview');
+        if (preview) preview.textContent = ` · ${formatInterval(previewInterval(card, btn.dataset.rating, now))}`;
+    });
+}
+
+if (ratingModeSelect) {
+    ratingModeSelect.value = settings.ratingMode;
+    ratingModeSelect.addEventListener('change', () => {
+        settings.ratingMode = ratingModeSelect.value;
+        saveSettings();
+        updateIntervalPreviews(currentCard);
+    });
+}
 
-    card.nextReview = Date.now() + card.interval * millisInDay;
+if (schedulerSelect) {
+    Object.values(SCHEDULERS).forEach(scheduler => {
+        const opt = document.createElement('option');
+        opt.value = scheduler.id;
+        opt.textContent = scheduler.label;
+        schedulerSelect.appendChild(opt);
+    });
+    schedulerSelect.value = getScheduler().id;
+    schedulerSelect.addEventListener('change', () => {
+        settings.scheduler = schedulerSelect.value;
+        saveSettings();
+        putCards(migrateCardsToScheduler(getScheduler()));
+        updateIntervalPreviews(currentCard);
+    });
 }
 
 // Initialize default view